@@ -0,0 +1,432 @@
+/**
+ * @description            Batch repair of many misformatted JSON records of
+ *                         the same shape, like the lines of an NDJSON file.
+ *
+ *                         Every record is reformatted with `preParse` on its
+ *                         own first. The records with a definitive answer
+ *                         then teach a profile of every key, like "the
+ *                         `fullName` values contain apostrophes", or "the
+ *                         `height` values end in an inch mark". Ambiguous
+ *                         records get the candidate that is most consistent
+ *                         with those profiles, so records with the same
+ *                         structure come out the same way.
+ *
+ * @typedef  {("definitive"|"resolved"|"ambiguous"|"failed")} BatchStatus
+ *                         A string union type for the outcome of a record.
+ *                         `"resolved"` is an ambiguous record whose candidate
+ *                         was chosen by the learned key profiles, or, with
+ *                         `opts.pickBest`, by its score among the most
+ *                         consistent candidates.
+ *
+ * @typedef  {Object}      BatchRecord
+ *                         An object containing the outcome of one record.
+ *
+ * @property {Number}      BatchRecord.index The index of the record, in the
+ *                         order they were read. For a stream, the index of its
+ *                         line, counting the empty lines that are skipped, so
+ *                         its line number is `index + 1`.
+ *
+ * @property {String}      BatchRecord.input The misformatted JSON record.
+ *
+ * @property {BatchStatus} BatchRecord.status The outcome of the record.
+ *
+ * @property {ParseResult} BatchRecord.result The outcome of `preParse`.
+ *
+ * @property {Candidate}   [BatchRecord.candidate] The chosen candidate,
+ *                         unless the record failed. For `"ambiguous"` records
+ *                         it is the best scoring one.
+ *
+ * @property {Number}      [BatchRecord.consistency] How consistent the chosen
+ *                         candidate is with the key profiles. Only set for
+ *                         `"resolved"` records.
+ *
+ * @typedef  {Object}      KeyProfile
+ *                         An object containing what the values of one key
+ *                         looked like in the records with a definitive answer.
+ *
+ * @property {Number}      KeyProfile.values The number of values seen.
+ *
+ * @property {Object}      KeyProfile.types The number of values of each JSON
+ *                         type, like `"string"` or `"null"`.
+ *
+ * @property {Number}      KeyProfile.strings The number of string values.
+ *
+ * @property {Object}      KeyProfile.features The number of string values
+ *                         with each feature of `VALUE_FEATURES`.
+ *
+ * @typedef  {Object}      BatchReport
+ *                         An object summarizing the outcome of a batch.
+ *
+ * @property {Number}      BatchReport.records The number of records.
+ *
+ * @property {Number}      BatchReport.definitive The number of records with
+ *                         exactly one answer.
+ *
+ * @property {Number}      BatchReport.resolved The number of ambiguous records
+ *                         resolved by the key profiles.
+ *
+ * @property {Number}      BatchReport.ambiguous The number of records that
+ *                         stayed ambiguous.
+ *
+ * @property {Number}      BatchReport.failed The number of records that
+ *                         failed to parse.
+ *
+ * @property {Number[]}    BatchReport.unresolved The indexes of the records
+ *                         that stayed ambiguous, or failed.
+ *
+ * @property {Object}      BatchReport.profiles The `KeyProfile` of every key,
+ *                         by JSONPath, like `$[*]["fullName"]`.
+ *
+ * @typedef  {Object}      BatchResult
+ *                         An object containing the outcome of every record of
+ *                         a batch, and its summary.
+ *
+ * @property {BatchRecord[]} BatchResult.records The outcome of every record,
+ *                         in the order they were read.
+ *
+ * @property {BatchReport} BatchResult.report The summary of the batch.
+ */
+
+const readline = require("readline")
+const { Readable } = require("stream")
+const { preParse } = require("./json-reparser.js")
+
+/**
+ * @type     {Object}      The features learned for the string values of every
+ *                         key, each a test of a string value.
+ */
+const VALUE_FEATURES = {
+	// a single-quote in the text, like the apostrophe of `O'Rielly`
+	apostrophe: value => value.includes("'"),
+	// a double-quote after a number at the end, like the inch mark of `5'11"`
+	inchMark: value => /\d\s*"$/.test(value)
+}
+
+/**
+ * @description            Names the JSON type of a JSON value.
+ *
+ * @param    {*}           value The JSON value.
+ *
+ * @returns  {String}      The JSON type, like `"string"` or `"array"`.
+ */
+function jsonType(value) {
+	if (value === null) return "null"
+
+	if (Array.isArray(value)) return "array"
+
+	return typeof value
+}
+
+/**
+ * @description            Lists every value nested in a JSON value, with the
+ *                         JSONPath of its key. Array items share the path
+ *                         `[*]`, so every record item has the same keys.
+ *
+ * @param    {*}           value The JSON value.
+ *
+ * @param    {String}      [path] The JSONPath of the value.
+ *
+ * @yields   {Array}       The JSONPath and value of every nested value,
+ *                         including the value itself.
+ */
+function* keyedValues(value, path = "$") {
+	yield [path, value]
+
+	if (Array.isArray(value))
+		for (const item of value) yield* keyedValues(item, `${path}[*]`)
+	else if (jsonType(value) === "object")
+		for (const [field, item] of Object.entries(value))
+			yield* keyedValues(item, `${path}[${JSON.stringify(field)}]`)
+}
+
+/**
+ * @description            Adds the values of a definitive record to the key
+ *                         profiles.
+ *
+ * @param    {Object}      profiles The `KeyProfile` of every key, by JSONPath.
+ *
+ * @param    {*}           value The parsed JSON value of the record.
+ */
+function learnProfiles(profiles, value) {
+	for (const [path, item] of keyedValues(value)) {
+		const profile = (profiles[path] ??= {
+			values: 0,
+			types: {},
+			strings: 0,
+			features: Object.fromEntries(
+				Object.keys(VALUE_FEATURES).map(feature => [feature, 0])
+			)
+		})
+
+		const type = jsonType(item)
+
+		profile.values++
+		profile.types[type] = (profile.types[type] ?? 0) + 1
+
+		if (type !== "string") continue
+
+		profile.strings++
+
+		for (const [feature, test] of Object.entries(VALUE_FEATURES))
+			if (test(item)) profile.features[feature]++
+	}
+}
+
+/**
+ * @description            Scores how consistent a candidate value is with the
+ *                         key profiles. Every value of a known type, and every
+ *                         string feature that agrees with most strings of its
+ *                         key, adds `1`. Every unknown key, value of an
+ *                         unknown type, and disagreeing feature, subtracts
+ *                         `1`. Features with no majority are ignored.
+ *
+ * @param    {Object}      profiles The `KeyProfile` of every key, by JSONPath.
+ *
+ * @param    {*}           value The parsed JSON value of the candidate.
+ *
+ * @returns  {Number}      The consistency score. Higher is better.
+ */
+function consistencyScore(profiles, value) {
+	let score = 0
+
+	for (const [path, item] of keyedValues(value)) {
+		const profile = profiles[path]
+
+		// a key no definitive record has, likely a misplaced string delimiter
+		if (!profile) {
+			score--
+			continue
+		}
+
+		const type = jsonType(item)
+
+		score += profile.types[type] ? 1 : -1
+
+		if (type !== "string" || !profile.strings) continue
+
+		for (const [feature, test] of Object.entries(VALUE_FEATURES)) {
+			const count = profile.features[feature]
+
+			// half of the strings have the feature, so it tells nothing
+			if (count * 2 === profile.strings) continue
+
+			score += test(item) === count * 2 > profile.strings ? 1 : -1
+		}
+	}
+
+	return score
+}
+
+/**
+ * @description            Reads the records of a batch, one per line for a
+ *                         readable stream.
+ *
+ * @param    {(Iterable<String>|AsyncIterable<String>|Readable)} records The
+ *                         records, or a readable stream of NDJSON text.
+ *
+ * @yields   {Object}      Every record as the `input`, with its `index`.
+ *                         Empty lines of a stream are skipped, but counted.
+ */
+async function* readRecords(records) {
+	let index = 0
+
+	if (!(records instanceof Readable)) {
+		for await (const input of records) yield { input, index: index++ }
+		return
+	}
+
+	for await (const line of readline.createInterface({
+		input: records,
+		crlfDelay: Infinity
+	})) {
+		if (line.trim()) yield { input: line, index }
+		index++
+	}
+}
+
+/**
+ * @description            Repairs a batch of misformatted JSON records, and
+ *                         resolves the ambiguous ones consistently with the
+ *                         records that had a definitive answer.
+ *
+ * @param    {(Iterable<String>|AsyncIterable<String>|Readable)} records The
+ *                         misformatted JSON records, or a readable stream of
+ *                         them, one per line.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings, the same
+ *                         for every record as for `preParse`.
+ *
+ * @param    {Boolean}     [opts.pickBest] A flag to also resolve ambiguous
+ *                         records whose most consistent candidates are tied,
+ *                         if one of them outscores the others. Only applied
+ *                         after ranking by consistency, so the profiles are
+ *                         only learned from records with one candidate.
+ *
+ * @returns  {Promise<BatchResult>} The outcome of every record, and the
+ *                         summary of the batch.
+ */
+async function reparseBatch(records, { pickBest = false, ...opts } = {}) {
+	/**
+	 * @type   {BatchRecord[]} The outcome of every record read so far.
+	 */
+	const batch = []
+
+	/**
+	 * @type   {Object}      The `KeyProfile` of every key, by JSONPath.
+	 */
+	const profiles = {}
+
+	for await (const { input, index } of readRecords(records)) {
+		const result = preParse(input, opts)
+
+		batch.push({
+			index,
+			input,
+			status: result.status,
+			result,
+			candidate: result.best
+		})
+
+		// without `opts.pickBest`, only a record with one candidate is definitive
+		if (result.status === "definitive")
+			learnProfiles(profiles, result.best.value)
+	}
+
+	/**
+	 * @type   {Boolean}     Whether any record had a definitive answer.
+	 */
+	const learned = Object.keys(profiles).length > 0
+
+	// resolve after every record was read, so every record learns the same
+	for (const record of batch) {
+		if (record.status !== "ambiguous") continue
+
+		// most consistent first, the candidates are already best score first,
+		// and without profiles every candidate is just as consistent
+		const [best, runnerUp] = record.result.candidates
+			.map(candidate => ({
+				candidate,
+				consistency: learned ? consistencyScore(profiles, candidate.value) : 0
+			}))
+			.sort((a, b) => b.consistency - a.consistency)
+
+		// several candidates are just as consistent, keep the best scoring one
+		if (
+			best.consistency === runnerUp.consistency &&
+			!(pickBest && best.candidate.score > runnerUp.candidate.score)
+		)
+			continue
+
+		record.status = "resolved"
+		record.candidate = best.candidate
+		record.consistency = best.consistency
+	}
+
+	/**
+	 * @type   {BatchReport} The summary of the batch.
+	 */
+	const report = {
+		records: batch.length,
+		definitive: 0,
+		resolved: 0,
+		ambiguous: 0,
+		failed: 0,
+		unresolved: [],
+		profiles
+	}
+
+	for (const { index, status } of batch) {
+		report[status]++
+
+		if (status === "ambiguous" || status === "failed")
+			report.unresolved.push(index)
+	}
+
+	return { records: batch, report }
+}
+
+/**
+ * @description            Writes the chosen candidate of every record as
+ *                         NDJSON, one compact JSON value per line. Failed
+ *                         records, see `BatchReport.unresolved`, and the
+ *                         empty lines skipped are written as empty lines, so
+ *                         every line lines up with the line it was read from,
+ *                         like the `--lines` mode of the command-line tool.
+ *
+ * @param    {BatchResult} batch The outcome of `reparseBatch`.
+ *
+ * @param    {Writable}    output The stream to write to, like `process.stdout`.
+ *
+ * @returns  {Promise<void>} Resolves when everything was written.
+ */
+function writeNDJSON({ records }, output) {
+	let ndjson = ""
+
+	/**
+	 * @type   {Number}      The index of the next line to write.
+	 */
+	let line = 0
+
+	for (const { index, candidate } of records) {
+		// an empty line for every empty line skipped before the record
+		ndjson += "\n".repeat(index - line)
+		ndjson += (candidate ? JSON.stringify(candidate.value) : "") + "\n"
+		line = index + 1
+	}
+
+	return new Promise((resolve, reject) =>
+		output.write(ndjson, error => (error ? reject(error) : resolve()))
+	)
+}
+
+/**
+ * @description            Formats the summary of a batch for people to read,
+ *                         with the features learned for every key.
+ *
+ * @param    {BatchReport} report The summary of the batch.
+ *
+ * @returns  {String}      The summary, without a trailing newline.
+ */
+function formatReport(report) {
+	const lines = [
+		`${report.records} records: ${report.definitive} definitive, ${report.resolved} resolved, ${report.ambiguous} ambiguous, ${report.failed} failed`
+	]
+
+	if (report.unresolved.length)
+		lines.push(`unresolved records: ${report.unresolved.join(", ")}`)
+
+	for (const [path, { strings, features }] of Object.entries(report.profiles)) {
+		if (!strings) continue
+
+		const learned = Object.entries(features)
+			.filter(([, count]) => count)
+			.map(([feature, count]) => `${feature} ${count}/${strings}`)
+
+		if (learned.length) lines.push(`${path}: ${learned.join(", ")}`)
+	}
+
+	return lines.join("\n")
+}
+
+module.exports = { reparseBatch, writeNDJSON, formatReport }
+
+// run a batch of StackOverflow-like records when executed directly
+if (require.main === module) {
+	const records = [
+		`{'fullName':'Rob O'Rielly','height':'70.5\\"','aliases':['Bobby']}`,
+		`{'fullName':'Ann D'Arcy','height':'62\\"','aliases':['Annie']}`,
+		`{'fullName':'Bob O'Rielly','height':'13',5\\"','aliases':[]}`,
+		`{'fullName':'Jo O'Neill','height':'66\\"','aliases':['Jo', 'Joey']}`
+	]
+
+	// the last record could have one alias `Jo', 'Joey`, but `tryHard` prefers
+	// the single-quotes around the comma to delimit strings of their own
+	reparseBatch(records, {
+		tryHard: true,
+		shape: { fullName: "string", height: "string", aliases: ["string"] }
+	}).then(async batch => {
+		await writeNDJSON(batch, process.stdout)
+
+		console.log(formatReport(batch.report))
+	})
+}
@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+
+/**
+ * @description            Command-line tool around `preParse`, that repairs
+ *                         misformatted JSON strings from files or stdin, and
+ *                         writes the repaired JSON to stdout.
+ *
+ *                         Usage: `json-reparser-cli.js [options] [file...]`
+ *
+ *                         Reads stdin when no file, or `-`, is given.
+ *
+ *                         Needs Node.js 18.3 or later, or 16.17 or later,
+ *                         for `util.parseArgs`.
+ *
+ * @typedef  {Object}      CLIOptions
+ *                         An object containing the parsed command-line flags.
+ *
+ * @property {Boolean}     CLIOptions.tryHard Whether to use `opts.tryHard`.
+ *
+ * @property {Number}      [CLIOptions.maxCandidates] The `opts.maxCandidates`
+ *                         of `preParse`.
+ *
+ * @property {ParseMode}   [CLIOptions.mode] The `opts.mode` of `preParse`.
+ *
+ * @property {Boolean}     CLIOptions.completeTruncated Whether to use
+ *                         `opts.completeTruncated`.
+ *
+ * @property {Boolean}     CLIOptions.doubledQuotes Whether to use
+ *                         `opts.doubledQuotes`.
+ *
+ * @property {String}      [CLIOptions.quotes] The `opts.quotes` of
+ *                         `preParse`.
+ *
+ * @property {Boolean}     CLIOptions.interactive Whether to ask on stdin how
+ *                         to reformat every ambiguous single-quote.
+ *
+ * @property {Boolean}     CLIOptions.all Whether to write every candidate, as
+ *                         a JSON array, instead of only the best candidate.
+ *
+ * @property {Boolean}     CLIOptions.pretty Whether to pretty-print the JSON.
+ *
+ * @property {Boolean}     CLIOptions.lines Whether to repair every line as a
+ *                         separate misformatted JSON string.
+ */
+
+const fs = require("fs")
+const readline = require("readline")
+const { parseArgs } = require("util")
+
+/**
+ * @type     {Object}      The exit code for each outcome. Multiple strings
+ *                         exit with the code of the worst outcome.
+ */
+const EXIT_CODES = {
+	definitive: 0,
+	failed: 1,
+	usage: 2,
+	ambiguous: 3
+}
+
+// older versions of Node.js don't have `util.parseArgs`, stop with why before
+// anything fails without it
+if (typeof parseArgs !== "function") {
+	console.error(
+		`json-reparser-cli.js: needs Node.js 18.3 or later, or 16.17 or later, not ${process.version}`
+	)
+	process.exit(EXIT_CODES.usage)
+}
+
+const { preParseAsync } = require("./json-reparser.js")
+
+/**
+ * @type     {String}      The help text for `--help` and usage errors.
+ */
+const USAGE = `Usage: json-reparser-cli.js [options] [file...]
+
+Repairs misformatted JSON strings with single-quotes, from each file,
+or from stdin when no file, or "-", is given.
+
+Options:
+  -t, --try-hard              Also guess single-quotes followed by a delimiter
+  -m, --max-candidates <n>    Check at most n reformatted strings (default: 1000)
+      --mode <mode>           Input dialect: json, python, or json5 (default: json)
+  -c, --complete-truncated    Complete strings that were cut off
+  -d, --doubled-quotes        Read '' inside of strings as one apostrophe
+  -q, --quotes <chars>        Other quotes that delimit strings (default: ‘’“”)
+  -i, --interactive           Ask on stdin how to reformat ambiguous single-quotes
+  -a, --all                   Write every candidate as a JSON array
+  -p, --pretty                Pretty-print the repaired JSON
+  -l, --lines                 Repair every line as a separate JSON string
+  -h, --help                  Show this help
+
+Needs Node.js 18.3 or later, or 16.17 or later.
+
+Exit codes:
+  ${EXIT_CODES.definitive}  every string had a definitive answer
+  ${EXIT_CODES.failed}  a string failed to parse
+  ${EXIT_CODES.usage}  invalid usage, or a file could not be read
+  ${EXIT_CODES.ambiguous}  a string had ambiguous answers, and none failed
+`
+
+/**
+ * @description            Parses the command-line arguments.
+ *
+ * @param    {String[]}    args The command-line arguments, without the
+ *                         node executable and script path.
+ *
+ * @returns  {Object}      The parsed `options`, and the `files` to read.
+ */
+function parseArguments(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			"try-hard": { type: "boolean", short: "t", default: false },
+			"max-candidates": { type: "string", short: "m" },
+			mode: { type: "string" },
+			"complete-truncated": { type: "boolean", short: "c", default: false },
+			"doubled-quotes": { type: "boolean", short: "d", default: false },
+			quotes: { type: "string", short: "q" },
+			interactive: { type: "boolean", short: "i", default: false },
+			all: { type: "boolean", short: "a", default: false },
+			pretty: { type: "boolean", short: "p", default: false },
+			lines: { type: "boolean", short: "l", default: false },
+			help: { type: "boolean", short: "h", default: false }
+		}
+	})
+
+	/**
+	 * @type   {Number}      The parsed `--max-candidates` flag, if given.
+	 */
+	const maxCandidates =
+		values["max-candidates"] === undefined
+			? undefined
+			: Number(values["max-candidates"])
+
+	if (
+		maxCandidates !== undefined &&
+		!(Number.isInteger(maxCandidates) && maxCandidates > 0)
+	)
+		throw new TypeError(
+			`--max-candidates must be a positive integer, got "${values["max-candidates"]}"`
+		)
+
+	if (
+		values.mode !== undefined &&
+		!["json", "python", "json5"].includes(values.mode)
+	)
+		throw new TypeError(
+			`--mode must be json, python, or json5, got "${values.mode}"`
+		)
+
+	// stdin can't be both the JSON and the answers
+	if (values.interactive && (!positionals.length || positionals.includes("-")))
+		throw new TypeError(
+			"--interactive reads answers from stdin, so it needs file arguments"
+		)
+
+	return {
+		help: values.help,
+		options: {
+			tryHard: values["try-hard"],
+			maxCandidates,
+			mode: values.mode,
+			completeTruncated: values["complete-truncated"],
+			doubledQuotes: values["doubled-quotes"],
+			quotes: values.quotes,
+			interactive: values.interactive,
+			all: values.all,
+			pretty: values.pretty,
+			lines: values.lines
+		},
+		files: positionals.length ? positionals : ["-"]
+	}
+}
+
+/**
+ * @description            Formats the candidates of a `preParse` result.
+ *
+ * @param    {ParseResult} result The result of `preParse`.
+ *
+ * @param    {CLIOptions}  options The parsed command-line flags.
+ *
+ * @returns  {String}      The repaired JSON, without a trailing newline.
+ */
+function formatResult({ candidates, best }, { all, pretty }) {
+	if (all) {
+		if (pretty)
+			return JSON.stringify(
+				candidates.map(({ value }) => value),
+				null,
+				2
+			)
+
+		return `[${candidates.map(({ string }) => string).join(",")}]`
+	}
+
+	if (pretty) return JSON.stringify(best.value, null, 2)
+
+	return best.string
+}
+
+/**
+ * @description            Creates a prompt that asks how to reformat every
+ *                         ambiguous single-quote, by showing its line with a
+ *                         caret under it, and reading the choice by number.
+ *                         Lines read before a question are kept as the
+ *                         answers of the next questions, so answers can be
+ *                         piped in. When the input ends before an answer, the
+ *                         question rejects.
+ *
+ * @param    {Readable}    input The stream to read answers from.
+ *
+ * @param    {Writable}    output The stream to write questions to.
+ *
+ * @returns  {Object}      An `ask` function that takes where the strings are
+ *                         from, and returns an `opts.resolve` function for
+ *                         them. And a `close` function to stop reading.
+ */
+function createPrompt(input, output) {
+	const prompt = readline.createInterface({ input, output })
+
+	/**
+	 * @type   {String[]}    The lines read before a question asked for them,
+	 *                       like answers piped in all at once.
+	 */
+	const lines = []
+
+	let closed = false
+
+	/**
+	 * @type   {(Object|undefined)} Settles the pending question.
+	 */
+	let pending
+
+	prompt.on("line", line => {
+		if (!pending) return lines.push(line)
+
+		pending.resolve(line)
+		pending = undefined
+	})
+
+	/**
+	 * @description          Ends the line of the unanswered question.
+	 *
+	 * @returns  {Error}     Why the question wasn't answered.
+	 */
+	const unanswered = () => {
+		output.write("\n")
+		return new Error("stdin ended before an answer")
+	}
+
+	// no more answers for the pending question, or any after it
+	prompt.on("close", () => {
+		closed = true
+		pending?.reject(unanswered())
+		pending = undefined
+	})
+
+	const question = query =>
+		new Promise((resolve, reject) => {
+			prompt.setPrompt(query)
+			prompt.prompt()
+
+			/**
+			 * @type {Function} Takes the answer, and shows it after the question
+			 *                 when it's piped in, like a terminal echoes it.
+			 */
+			const answer = line => {
+				if (!prompt.terminal) output.write(`${line}\n`)
+				resolve(line)
+			}
+
+			if (lines.length) answer(lines.shift())
+			else if (closed) reject(unanswered())
+			else pending = { resolve: answer, reject }
+		})
+
+	const ask =
+		source =>
+		async ({
+			currentGuess,
+			character,
+			precedingString,
+			followingString,
+			choices
+		}) => {
+			const lineStart = precedingString.lastIndexOf("\n") + 1
+			const lineEnd = followingString.indexOf("\n")
+
+			/**
+			 * @type {String}  The start of the line, before the single-quote.
+			 */
+			const before = precedingString.slice(lineStart)
+
+			/**
+			 * @type {String}  The line of the single-quote.
+			 */
+			const line =
+				before +
+				character +
+				(lineEnd === -1 ? followingString : followingString.slice(0, lineEnd))
+
+			// keep tabs, so the caret lines up in every terminal
+			const caret = [...before].map(c => (c === "\t" ? c : " ")).join("") + "^"
+
+			/**
+			 * @type {String}  The end of the reformatted string so far, to tell
+			 *                 apart guesses that reach the same single-quote.
+			 */
+			const reformatted = [...currentGuess.string.split("\n").at(-1)]
+				.slice(-40)
+				.join("")
+
+			const keys = Object.keys(choices)
+
+			const menu = keys
+				.map((choice, index) => `${index + 1}) ${choices[choice]}`)
+				.join("  ")
+
+			output.write(
+				`${source}: ambiguous single-quote at line ${
+					precedingString.split("\n").length
+				}, column ${
+					[...before].length + 1
+				}\n  ${line}\n  ${caret}\n  reformatted so far: ${reformatted}\n`
+			)
+
+			for (;;) {
+				const reply = (
+					await question(`  ${menu}  enter) try every guess: `)
+				).trim()
+
+				if (!reply) return undefined
+
+				if (keys[reply - 1]) return keys[reply - 1]
+			}
+		}
+
+	return { ask, close: () => prompt.close() }
+}
+
+/**
+ * @description            Repairs one misformatted JSON string, writes the
+ *                         repaired JSON to stdout, and any problem to stderr.
+ *
+ * @param    {String}      misformattedJSON The misformatted JSON string.
+ *
+ * @param    {CLIOptions}  options The parsed command-line flags.
+ *
+ * @param    {String}      source Where the string is from, for messages.
+ *
+ * @param    {Object}      [prompt] The prompt of `createPrompt`, to ask how
+ *                         to reformat ambiguous single-quotes.
+ *
+ * @returns  {Promise<ParseStatus>} The outcome of `preParse`.
+ */
+async function repair(misformattedJSON, options, source, prompt) {
+	const {
+		tryHard,
+		maxCandidates,
+		mode,
+		completeTruncated,
+		doubledQuotes,
+		quotes
+	} = options
+
+	const result = await preParseAsync(misformattedJSON, {
+		tryHard,
+		maxCandidates,
+		mode,
+		completeTruncated,
+		doubledQuotes,
+		quotes,
+		resolve: prompt?.ask(source)
+	})
+
+	if (result.status === "failed") {
+		console.error(`${source}: ${result.reason}`)
+
+		// keep one output line for every input line
+		if (options.lines) process.stdout.write("\n")
+
+		return result.status
+	}
+
+	if (result.best.completed)
+		console.error(`${source}: input was cut off, completed from truncation`)
+
+	if (result.status === "ambiguous" && !options.all)
+		console.error(
+			`${source}: ${result.candidates.length} ambiguous answers, wrote the best scoring one`
+		)
+
+	process.stdout.write(formatResult(result, options) + "\n")
+
+	return result.status
+}
+
+/**
+ * @description            Repairs every misformatted JSON string of a file,
+ *                         or of stdin.
+ *
+ * @param    {String}      file The file path, or `-` for stdin.
+ *
+ * @param    {CLIOptions}  options The parsed command-line flags.
+ *
+ * @param    {Object}      [prompt] The prompt of `createPrompt`, to ask how
+ *                         to reformat ambiguous single-quotes.
+ *
+ * @returns  {Promise<ParseStatus[]>} The outcome of every string.
+ */
+async function repairFile(file, options, prompt) {
+	const source = file === "-" ? "<stdin>" : file
+
+	const stream =
+		file === "-" ? process.stdin : fs.createReadStream(file, "utf8")
+
+	if (!options.lines) {
+		let misformattedJSON = ""
+
+		stream.setEncoding("utf8")
+		for await (const chunk of stream) misformattedJSON += chunk
+
+		return [await repair(misformattedJSON.trim(), options, source, prompt)]
+	}
+
+	/**
+	 * @type   {ParseStatus[]} The outcome of every non-empty line.
+	 */
+	const statuses = []
+
+	let lineNumber = 0
+
+	for await (const line of readline.createInterface({
+		input: stream,
+		crlfDelay: Infinity
+	})) {
+		lineNumber++
+
+		// keep empty lines, so output lines line up with input lines
+		if (!line.trim()) {
+			process.stdout.write("\n")
+			continue
+		}
+
+		statuses.push(
+			await repair(line, options, `${source}:${lineNumber}`, prompt)
+		)
+	}
+
+	return statuses
+}
+
+/**
+ * @description            Runs the command-line tool.
+ *
+ * @param    {String[]}    args The command-line arguments, without the
+ *                         node executable and script path.
+ *
+ * @returns  {Promise<Number>} The exit code.
+ */
+async function main(args) {
+	let parsed
+
+	try {
+		parsed = parseArguments(args)
+	} catch (error) {
+		console.error(`${error.message}\n\n${USAGE}`)
+
+		return EXIT_CODES.usage
+	}
+
+	const { help, options, files } = parsed
+
+	if (help) {
+		process.stdout.write(USAGE)
+
+		return EXIT_CODES.definitive
+	}
+
+	/**
+	 * @type   {ParseStatus[]} The outcome of every string of every file.
+	 */
+	const statuses = []
+
+	// ask on the terminal, and keep stdout for the repaired JSON
+	const prompt = options.interactive
+		? createPrompt(process.stdin, process.stderr)
+		: undefined
+
+	try {
+		for (const file of files)
+			try {
+				statuses.push(...(await repairFile(file, options, prompt)))
+			} catch (error) {
+				console.error(`${file}: ${error.message}`)
+
+				return EXIT_CODES.usage
+			}
+	} finally {
+		prompt?.close()
+	}
+
+	if (statuses.includes("failed")) return EXIT_CODES.failed
+
+	if (statuses.includes("ambiguous")) return EXIT_CODES.ambiguous
+
+	return EXIT_CODES.definitive
+}
+
+module.exports = { main, EXIT_CODES }
+
+if (require.main === module)
+	main(process.argv.slice(2)).then(code => (process.exitCode = code))
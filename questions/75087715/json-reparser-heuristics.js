@@ -0,0 +1,188 @@
+/**
+ * @description            Named heuristics for the `opts.heuristic` option of
+ *                         `preParse`, for common single-quotes that are part
+ *                         of the text of a string, instead of delimiting it.
+ *
+ *                         Every heuristic only decides single-quotes inside
+ *                         of a string. When it recognizes the single-quote,
+ *                         it keeps it in the guess, and returns `true`.
+ *                         Otherwise it leaves the guess alone, and returns
+ *                         `false`, so the next heuristic, or the default
+ *                         heuristics, can decide.
+ */
+
+/**
+ * @type     {RegExp}      Matches a letter, or a digit, at the end.
+ */
+const WORD_END = /[\p{L}\p{N}]$/u
+
+/**
+ * @type     {RegExp}      Matches a letter, or a digit, at the start.
+ */
+const WORD_START = /^[\p{L}\p{N}]/u
+
+/**
+ * @type     {RegExp}      Matches an English contraction ending, like the
+ *                         `t` of `don't`, or the `ll` of `we'll`, at the start.
+ */
+const CONTRACTION_START = /^(t|s|d|m|re|ve|ll)(?![\p{L}\p{N}])/iu
+
+/**
+ * @description            Keeps the single-quote of the guess literal.
+ *
+ * @param    {Guess}       currentGuess The parser guess to append to.
+ *
+ * @param    {String}      character The single-quote, or the other quote
+ *                         character of `opts.quotes`, to keep.
+ *
+ * @returns  {Boolean}     Always `true`, the single-quote was decided.
+ */
+function keepQuote(currentGuess, character) {
+	currentGuess.string += character
+
+	return true
+}
+
+/**
+ * @description            Keeps single-quotes between two letters or digits,
+ *                         like the apostrophes of `O'Rielly` and `rock'n'roll`.
+ *
+ * @param    {StringPosition} position Where the single-quote is.
+ *
+ * @returns  {Boolean}     Whether the heuristic decided the single-quote.
+ */
+function apostropheInWord({
+	currentGuess,
+	character,
+	precedingString,
+	followingString
+}) {
+	if (
+		!currentGuess.isString ||
+		!WORD_END.test(precedingString) ||
+		!WORD_START.test(followingString)
+	)
+		return false
+
+	return keepQuote(currentGuess, character)
+}
+
+/**
+ * @description            Keeps single-quotes that are the foot mark of a
+ *                         height, followed by inches and an inch mark, like
+ *                         `5'11"`, `5' 11\"`, `13',5\"`, and the prime marks
+ *                         of `5′11″`.
+ *
+ * @param    {StringPosition} position Where the single-quote is.
+ *
+ * @returns  {Boolean}     Whether the heuristic decided the single-quote.
+ */
+function inchMark({
+	currentGuess,
+	character,
+	precedingString,
+	followingString
+}) {
+	if (
+		!currentGuess.isString ||
+		!/\d$/.test(precedingString) ||
+		!/^\s*,?\s*\d+(\.\d+)?\s*(\\?"|″)/.test(followingString)
+	)
+		return false
+
+	return keepQuote(currentGuess, character)
+}
+
+/**
+ * @description            Keeps single-quotes of possessives, like `Bob's`
+ *                         and the plural `the Joneses' car`.
+ *
+ * @param    {StringPosition} position Where the single-quote is.
+ *
+ * @returns  {Boolean}     Whether the heuristic decided the single-quote.
+ */
+function possessive({
+	currentGuess,
+	character,
+	precedingString,
+	followingString
+}) {
+	if (
+		!currentGuess.isString ||
+		!WORD_END.test(precedingString) ||
+		// a plural possessive is followed by the next word of the sentence
+		!(
+			/^s(?![\p{L}\p{N}])/u.test(followingString) ||
+			(/s$/i.test(precedingString) &&
+				/^[^\S\n]+[\p{L}\p{N}]/u.test(followingString))
+		)
+	)
+		return false
+
+	return keepQuote(currentGuess, character)
+}
+
+/**
+ * @description            Keeps single-quotes of English contractions, like
+ *                         `don't`, `I'm`, `you're`, `we'll`, and `they've`.
+ *
+ * @param    {StringPosition} position Where the single-quote is.
+ *
+ * @returns  {Boolean}     Whether the heuristic decided the single-quote.
+ */
+function contraction({
+	currentGuess,
+	character,
+	precedingString,
+	followingString
+}) {
+	if (
+		!currentGuess.isString ||
+		!/\p{L}$/u.test(precedingString) ||
+		!CONTRACTION_START.test(followingString)
+	)
+		return false
+
+	return keepQuote(currentGuess, character)
+}
+
+/**
+ * @description            Chains heuristics in order of priority, into one
+ *                         heuristic for `opts.heuristic`. The first heuristic
+ *                         that decides the single-quote wins.
+ *
+ * @param    {...Heuristic} heuristics The heuristics, highest priority first.
+ *
+ * @returns  {Heuristic}   The combined heuristic.
+ */
+function combineHeuristics(...heuristics) {
+	return position => heuristics.some(heuristic => heuristic(position))
+}
+
+module.exports = {
+	apostropheInWord,
+	inchMark,
+	possessive,
+	contraction,
+	combineHeuristics
+}
+
+// run the StackOverflow examples when executed directly, not when imported
+if (require.main === module) {
+	const { preParse } = require("./json-reparser.js")
+
+	const heuristic = combineHeuristics(
+		inchMark,
+		contraction,
+		possessive,
+		apostropheInWord
+	)
+
+	const json3 = `[{'fullName':'Bob O'Rielly','height':'13',5\\"'}]`
+	const json6 = `[{'fullName':'Rob O'Rielly','height':'70.5\\"'}]`
+	const words = `['don't', 'Bob's', 'the Joneses' car', 'rock'n'roll', 'height 5'11"']`
+
+	console.log(`ANSWER 3:`, preParse(json3, { heuristic }))
+	console.log(`ANSWER 6:`, preParse(json6, { heuristic }))
+	console.log(`WORDS:`, preParse(words, { heuristic }))
+}
@@ -19,9 +19,25 @@
  *                         Situations where the single-quote (`'`) needs to be
  *                         replaced by an escaped double-quote (`\\"`).
  *
- * @typedef  {("array"|"field"|"object-value"|"value")} JSONType
+ * @typedef  {("end"|"keep"|"escape")} QuoteChoice
+ *                         A string union type for how to reformat an
+ *                         ambiguous single-quote inside of a string. `"end"`
+ *                         replaces it with a double-quote that ends the
+ *                         string, `"keep"` keeps it as literal text, and
+ *                         `"escape"` replaces it with an escaped double-quote
+ *                         (`\\"`).
+ *
+ * @typedef  {function(StringPosition): (QuoteChoice|undefined|Promise<(QuoteChoice|undefined)>)} Resolve
+ *                         A function that takes information about an
+ *                         ambiguous single-quote the default heuristics can't
+ *                         decide, with the `choices`, and returns how to
+ *                         reformat it. Or `undefined` to try every default
+ *                         guess, like without it. Only `preParseAsync`
+ *                         accepts a returned promise.
+ *
+ * @typedef  {("array"|"field"|"object-value")} JSONType
  *                         A string union type JSON types for arrays, object
- *                         fields, object values, and values.
+ *                         fields, and object values.
  *
  * @typedef  {("\""|"\'")} Quote
  *                         One single-quote (`'`) or double-quote (`""`)
@@ -47,9 +63,18 @@
  *                         of the single-quote in the misformatted string the
  *                         parser is currently trying to correct.
  *
+ * @property {String}      StringPosition.character The single-quote, or the
+ *                         other quote character of `opts.quotes`, the parser
+ *                         found.
+ *
  * @property {String}      StringPosition.followingString The JSON substring
  *                         after the single-quote.
  *
+ * @property {Object<QuoteChoice, String>} [StringPosition.choices] How the
+ *                         single-quote can be reformatted, and what each
+ *                         choice does, for people. Only given to
+ *                         `opts.resolve`.
+ *
  * @property {String}      StringPosition.precedingString The JSON substring
  *                         before the single-quote.
  *
@@ -76,36 +101,45 @@
  *                         current parsing as parsing the middle of a JSON
  *                         string value.
  *
- * @property {Boolean}     Guess.isEscaped The internal flag for `preParse`
+ * @property {EscapeState} Guess.isEscaped The internal flag for `preParse`
  *                         that determines whether the algorithm interprets
  *                         current parsing as parsing a character escape
  *                         sequence in the middle of a JSON string value. It is
- *                         a number to accommodate unicode escape sequences.
+ *                         the unfinished escape sequence, to accommodate
+ *                         multi-character escape sequences, like `\uXXXX`.
  *
- *                         Only works for:  `\'`. not: `\"`, `\\`, `\/`, `\n`,
- *                         `\r`, `\b`, `\f`, `\t` or `\uXXXX`.
+ *                         Works for the JSON escape sequences: `\"`, `\\`,
+ *                         `\/`, `\n`, `\r`, `\b`, `\f`, `\t` and `\uXXXX`.
+ *                         And rewrites the JavaScript escape sequences that
+ *                         are not valid JSON: `\'`, `\xXX`, `\u{X}`, `\v`,
+ *                         `\0`, legacy octal, and line continuations.
+ *
+ * @property {Boolean}     Guess.isDoubleQuoted The internal flag for
+ *                         `preParse` that determines whether the algorithm
+ *                         interprets the current JSON string value as
+ *                         delimited by double-quotes in the misformatted
+ *                         string, so single-quotes are literal inside of it.
+ *
+ * @property {String}      Guess.openQuote The internal state for `preParse`
+ *                         of the quote character that started the current
+ *                         JSON string value, or `""` outside of a string and
+ *                         inside of a double-quoted string. Only it, or its
+ *                         closing pair, can end the string.
  *
  * @property {Boolean}     Guess.isObjectField The internal flag for
  *                         `preParse` that determines whether the algorithm
  *                         interprets the current parsing state as parsing
- *                         the middle of a JSON object value.
+ *                         the middle of a JSON object field.
  *
  * @property {Boolean}     Guess.isObjectValue The internal flag for
  *                         `preParse` that determines whether the algorithm
  *                         interprets the current parsing state as parsing
- *                         the middle of a JSON object field.
- *
- * @property {Number}      Guess.isObject The internal flag for `preParse`
- *                         that determines whether the algorithm interprets
- *                         the current parsing state as parsing the middle of
- *                         a JSON object. It is a number to track how many
- *                         objects the single-quote is nested within.
+ *                         the middle of a JSON object value.
  *
- * @property {Number}      Guess.isArray The internal flag for `preParse` that
- *                         determines whether the algorithm interprets the
- *                         current parsing state as parsing the middle of a
- *                         JSON array value. It is a number to track how many
- *                         arrays the single-quote is nested within.
+ * @property {String}      Guess.containers The internal stack for `preParse`
+ *                         of the arrays (`[`) and objects (`{`) the
+ *                         single-quote is nested within, outermost first. It
+ *                         is a string, so forked guesses can share it.
  *
  * @property {Number}      Guess.aufoFilled The internal flag for `preParse`
  *                         that determines whether the algorithm already
@@ -113,509 +147,4523 @@
  *                         heuristic solution. Is a string for how many future
  *                         indexes were prefilled. Default: `0`.
  *
+ * @property {Number}      Guess.autoFills The number of times the parser used
+ *                         the RegExp auto-fill heuristic solution for this
+ *                         guess. Used for scoring. Default: `0`.
+ *
+ * @property {Number}      Guess.quotesReplaced The number of single-quotes the
+ *                         parser replaced with a double-quote for this guess.
+ *                         Used for scoring. Default: `0`.
+ *
+ * @property {Number}      Guess.quotesDelimited The number of replaced
+ *                         single-quotes that lined up with a JSON delimiter
+ *                         before or after them. Used for scoring.
+ *                         Default: `0`.
+ *
+ * @property {Number}      Guess.quotesKept The number of single-quotes the
+ *                         parser kept as a literal string character for this
+ *                         guess. Used for scoring. Default: `0`.
+ *
+ * @property {Number}      Guess.quotesKeptDelimited The number of kept
+ *                         single-quotes that lined up with a JSON delimiter
+ *                         before or after them, which is suspicious. Used for
+ *                         scoring. Default: `0`.
+ *
+ * @property {EditLink}    [Guess.edits] The most recent edit the guess made
+ *                         to the misformatted string, linked to the edits
+ *                         before it. Linked, so forked guesses can share the
+ *                         edits they made before forking.
+ *
+ * @property {GuessPrefix} Guess.prefix Where the guess string joins the
+ *                         lattice of alternative prefixes shared with the
+ *                         equivalent guesses merged into it.
+ *
+ * @property {Number}      Guess.id The number identifying the guess in
+ *                         parser events. The first guess is `0`, and every
+ *                         forked guess gets the next number.
+ *
  * @property {JSONType}    [Guess.isJSONType] The internal flag for `preParse`
  *                         that determines whether the algorithm interprets
  *                         the current parsing state as parsing the middle of
  *                         specific JSON type. It is a string union type for
- *                         arrays, object fields, object values, and values.
- *                         Used to keep track of the JSON type being parsed,
- *                         without including type nesting depth information.
+ *                         arrays, object fields, and object values. Used to
+ *                         keep track of the JSON type being parsed, inside of
+ *                         the innermost container of `Guess.containers`.
+ *
+ * @property {GrammarState} Guess.grammar Where the guess string is in the
+ *                         JSON grammar, to drop guesses that can no longer
+ *                         become valid JSON.
+ *
+ * @property {Number}      Guess.grammarLength The length of the start of the
+ *                         guess string already checked against the JSON
+ *                         grammar.
+ *
+ * @property {SchemaState} [Guess.schemaState] Where the guess string is in
+ *                         `opts.schema`, to drop guesses with a string, array,
+ *                         or object that doesn't validate.
+ *
+ * @property {String}      Guess.schemaPath The fields and tuple items of
+ *                         `opts.schema` the guess string is in, so only
+ *                         guesses that check the rest of the string against
+ *                         the same schemas are merged.
+ *
+ * @typedef  {Object}      SchemaState
+ *                         An object containing where a valid start of a JSON
+ *                         string is in a JSON Schema. It is never changed, so
+ *                         forked guesses can share it.
+ *
+ * @property {SchemaFrame[]} SchemaState.frames The open arrays and objects,
+ *                         outermost first.
+ *
+ * @property {Number}      SchemaState.string The index the string being
+ *                         parsed started at, or `-1`.
+ *
+ * @property {Boolean}     SchemaState.isEscaped Whether the last character
+ *                         of the string being parsed is an unescaped reverse
+ *                         solidus (`\`).
+ *
+ * @property {String}      SchemaState.path The fields and tuple items of the
+ *                         schema the open arrays and objects are in.
+ *
+ * @typedef  {Object}      SchemaFrame
+ *                         An object containing an open array or object, and
+ *                         its schema.
+ *
+ * @property {Number}      SchemaFrame.start The index the array or object
+ *                         started at.
+ *
+ * @property {(Object|Boolean)} [SchemaFrame.schema] The schema of the array or
+ *                         object, or `undefined` if it can't be known before
+ *                         the value is complete.
+ *
+ * @property {String}      SchemaFrame.path The JSONPath of the array or
+ *                         object, for errors.
+ *
+ * @property {Boolean}     SchemaFrame.isObject Whether it is an object.
+ *
+ * @property {(Number|String|null)} [SchemaFrame.field] The index of the
+ *                         array item being parsed, or the object field being
+ *                         parsed, `undefined` before the field is complete,
+ *                         and `null` if it can't be known.
+ *
+ * @typedef  {Object}      GrammarState
+ *                         An object containing where a valid start of a JSON
+ *                         string is in the JSON grammar. It is never changed,
+ *                         so forked guesses can share it.
+ *
+ * @property {String}      GrammarState.stack The open arrays (`[`) and
+ *                         objects (`{`), outermost first.
+ *
+ * @property {String}      GrammarState.mode What the JSON grammar allows
+ *                         next, like `"value"`, `"colon"`, `"string"`, or
+ *                         `"fraction"`.
+ *
+ * @property {Boolean}     GrammarState.key Whether the string being parsed
+ *                         is an object field.
+ *
+ * @property {String}      GrammarState.rest The rest of the `true`, `false`,
+ *                         or `null` literal being parsed.
+ *
+ * @typedef  {Object}      GrammarError
+ *                         An object containing where a string stopped being
+ *                         a valid start of a JSON string.
+ *
+ * @property {Number}      GrammarError.error The index of the first invalid
+ *                         character, after the text before it.
+ *
+ * @property {String}      GrammarError.message Why the character is invalid.
+ *
+ * @typedef  {(false|String)} EscapeState
+ *                         Either `false` outside of an escape sequence, or the
+ *                         unfinished escape sequence read so far, starting
+ *                         with the reverse solidus (`\`).
+ *
+ * @typedef  {Object}      EscapeStep
+ *                         An object containing the result of continuing an
+ *                         escape sequence by one character.
+ *
+ * @property {String}      EscapeStep.string The valid JSON text to append for
+ *                         the finished escape sequence. Empty string if the
+ *                         escape sequence is unfinished.
+ *
+ * @property {EscapeState} EscapeStep.isEscaped The escape state after the
+ *                         character.
+ *
+ * @property {Boolean}     EscapeStep.consumed Whether the character was part
+ *                         of the escape sequence. If not, the escape sequence
+ *                         ended before it, and it still needs to be parsed.
+ *
+ * @typedef  {("json"|"python"|"json5")} ParseMode
+ *                         A string union type for the dialect of the
+ *                         misformatted string. `"json"` is JSON with
+ *                         single-quoted strings. `"python"` is the output of
+ *                         Python `str()` or `repr()` for dicts and lists.
+ *                         `"json5"` is JSON5, or a JavaScript object literal.
+ *
+ * @typedef  {Object}      DialectStep
+ *                         An object containing how a dialect rewrites a
+ *                         character outside of a string to valid JSON.
+ *
+ * @property {String}      DialectStep.string The valid JSON text to append
+ *                         instead of the character.
+ *
+ * @property {Number}      DialectStep.skip How many following characters
+ *                         the rewrite already included.
+ *
+ * @typedef  {Object}      Edit
+ *                         An object containing one change the parser made to
+ *                         the misformatted string.
+ *
+ * @property {Number}      Edit.stringIndex The index of the changed text in
+ *                         the misformatted string.
+ *
+ * @property {Number}      Edit.characterIndex The UTF-32 character
+ *                         pseudo-index of the changed text in the
+ *                         misformatted string.
+ *
+ * @property {String}      Edit.original The changed text of the misformatted
+ *                         string. Usually one character, like a single-quote,
+ *                         but a whole escape sequence or dialect token.
+ *
+ * @property {String}      Edit.replacement The text it was changed to, empty
+ *                         if it was removed.
+ *
+ * @typedef  {Object}      EditLink
+ *                         An object containing an edit, in a linked list of
+ *                         the edits a guess made, most recent first.
+ *
+ * @property {Edit}        EditLink.edit The edit.
+ *
+ * @property {EditLink}    [EditLink.previous] The edit made before it.
+ *
+ * @typedef  {Object}      QuotePosition
+ *                         An object containing where a single-quote is, and
+ *                         whether it lines up with the delimiter heuristics.
+ *
+ * @property {Number}      QuotePosition.stringIndex The index of the
+ *                         single-quote in the misformatted string.
+ *
+ * @property {Number}      QuotePosition.characterIndex The UTF-32 character
+ *                         pseudo-index of the single-quote.
+ *
+ * @property {Boolean}     QuotePosition.delimited Whether the single-quote is
+ *                         next to a JSON delimiter.
+ *
+ * @property {String}      QuotePosition.character The single-quote, or the
+ *                         other quote character of `opts.quotes`.
+ *
+ * @typedef  {Object}      Tally
+ *                         An object containing the scoring counters of a
+ *                         `Guess`: `autoFills`, `quotesReplaced`,
+ *                         `quotesDelimited`, `quotesKept`, and
+ *                         `quotesKeptDelimited`.
+ *
+ * @typedef  {Object}      GuessPrefix
+ *                         An object containing where a guess string joins the
+ *                         lattice of alternative prefixes.
+ *
+ * @property {LatticeNode} [GuessPrefix.node] The lattice node the guess
+ *                         string continues from. Unset before the first
+ *                         merge, when the whole guess string is its own.
+ *
+ * @property {Number}      GuessPrefix.length The length of the guess string
+ *                         when it was merged at the lattice node.
+ *
+ * @property {Tally}       GuessPrefix.tally The scoring counters of the guess
+ *                         when it was merged at the lattice node.
+ *
+ * @property {EditLink}    [GuessPrefix.edits] The most recent edit of the
+ *                         guess when it was merged at the lattice node.
+ *
+ * @typedef  {Object}      LatticeNode
+ *                         An object containing every alternative way the
+ *                         parser reached one merged parser state. Only the
+ *                         highest scoring way is kept as the merged guess
+ *                         string, the others are only kept here.
+ *
+ * @property {LatticeEdge[]} LatticeNode.edges The alternative ways to reach
+ *                         the merged parser state, sorted best score first.
+ *
+ * @typedef  {Object}      LatticeEdge
+ *                         An object containing one alternative way to reach
+ *                         a merged parser state.
+ *
+ * @property {LatticeNode} [LatticeEdge.from] The lattice node the alternative
+ *                         continues from, unset for the start of the string.
+ *
+ * @property {String}      LatticeEdge.string The reformatted substring the
+ *                         alternative appended after the `from` node.
+ *
+ * @property {Tally}       LatticeEdge.tally The scoring counters the
+ *                         alternative added after the `from` node.
+ *
+ * @property {Edit[]}      LatticeEdge.edits The edits the alternative made
+ *                         after the `from` node, in order.
+ *
+ * @typedef  {Object}      PreParseOptions
+ *                         An object containing the optional settings for
+ *                         `preParse`.
+ *
+ * @property {Heuristic}   [PreParseOptions.heuristic] A function that takes a
+ *                         reference the parser state information, and
+ *                         modifies the parser guess state using the given
+ *                         reference.
+ *
+ * @property {BruteForce}  [PreParseOptions.bruteForce] A function that takes
+ *                         information about the current position of the
+ *                         single-quote in the misformatted string the parser
+ *                         found. And returns a boolean whether the parser will
+ *                         use brute-force parsing.
+ *
+ * @property {Boolean}     [PreParseOptions.tryHard] A flag to brute-force with
+ *                         default heuristics. Default: `false`.
+ *
+ * @property {Boolean}     [PreParseOptions.pickBest] A flag to only return the
+ *                         highest scoring candidate. Default: `false`.
+ *
+ * @property {ParseMode}   [PreParseOptions.mode] The dialect of the
+ *                         misformatted string. Default: `"json"`.
+ *
+ * @property {("null"|"reject")} [PreParseOptions.nonFiniteNumbers] How the
+ *                         `"json5"` mode converts `Infinity` and `NaN`, and
+ *                         the `"python"` mode `inf` and `nan`.
+ *                         Default: `"null"`.
+ *
+ * @property {Number}      [PreParseOptions.maxGuesses] The most guesses the
+ *                         parser keeps at once. Default: `1000`.
+ *
+ * @property {Number}      [PreParseOptions.maxBranches] The most guesses the
+ *                         parser creates in total. Default: `Infinity`.
+ *
+ * @property {Number}      [PreParseOptions.timeLimit] The most milliseconds the
+ *                         parser searches for. Default: `Infinity`.
+ *
+ * @property {AbortSignal} [PreParseOptions.signal] A signal to stop the search.
+ *
+ * @property {Number}      [PreParseOptions.maxCandidates] The most
+ *                         reformatted strings the parser reconstructs from
+ *                         merged guesses to check. Default: `1000`.
+ *
+ * @property {function(ParserEvent): void} [PreParseOptions.onEvent] A
+ *                         function called with every parser event, as it
+ *                         happens.
+ *
+ * @property {Object}      [PreParseOptions.schema] A JSON Schema every
+ *                         candidate must validate against.
+ *
+ * @property {Boolean}     [PreParseOptions.completeTruncated] A flag to
+ *                         complete input that was cut off, when no guess
+ *                         parses as it is. Default: `false`.
+ *
+ * @property {Boolean}     [PreParseOptions.doubledQuotes] A flag to read two
+ *                         single-quotes (`''`) inside of a string as one
+ *                         literal apostrophe. Default: `false`.
+ *
+ * @property {String}      [PreParseOptions.quotes] The characters, besides
+ *                         the single-quote, that are reformatted like
+ *                         single-quotes. Default: `"‘’“”"`.
+ *
+ * @property {Resolve}     [PreParseOptions.resolve] A function that decides
+ *                         the ambiguous single-quotes the default heuristics
+ *                         can't.
+ *
+ * @property {SchemaShape} [PreParseOptions.shape] A simpler description of
+ *                         the JSON than `schema`, used instead of it. Can't be
+ *                         given with `schema`.
+ *
+ * @typedef  {("maxGuesses"|"maxBranches"|"timeLimit"|"aborted"|"maxCandidates")} Truncation
+ *                         A string union type for the search limit that made
+ *                         the parser drop guesses.
+ *
+ * @typedef  {("definitive"|"ambiguous"|"failed")} ParseStatus
+ *                         A string union type for the outcome of `preParse`.
+ *                         Exactly one valid guess is `"definitive"`, more than
+ *                         one is `"ambiguous"`, and none is `"failed"`. With
+ *                         `opts.pickBest`, a best candidate that outscores
+ *                         every other candidate is also `"definitive"`.
+ *
+ * @typedef  {Object}      Candidate
+ *                         An object containing a reformatted string that
+ *                         parsed as valid JSON, and how confident the parser
+ *                         is that it is the intended reformatting.
+ *
+ * @property {String}      Candidate.string The reformatted valid JSON string.
+ *
+ * @property {Number}      Candidate.score The confidence score of the
+ *                         candidate. Higher is better, and it is only
+ *                         comparable to other candidates of the same input.
+ *
+ * @property {String[]}    Candidate.reasons The human readable explanations
+ *                         of what added to, or subtracted from, the score.
+ *
+ * @property {Edit[]}      Candidate.edits Every change the parser made to the
+ *                         misformatted string to reformat it, in order. Use
+ *                         with `sourceOffset` to map the candidate back to
+ *                         the misformatted string.
+ *
+ * @property {*}           Candidate.value The parsed JSON value of the
+ *                         candidate. No other candidate has a deep-equal
+ *                         value.
+ *
+ * @property {Boolean}     [Candidate.completed] Whether the candidate was
+ *                         completed from truncation by
+ *                         `opts.completeTruncated`. Only set when it was.
+ *
+ * @typedef  {("unterminatedString"|"unbalancedArray"|"unbalancedObject"|"invalidJSON")} FailureCause
+ *                         A string union type for the likely reason a guess
+ *                         did not parse. A guess that ended inside of a string
+ *                         is `"unterminatedString"`, a guess that ended with
+ *                         an array or object still open is
+ *                         `"unbalancedArray"` or `"unbalancedObject"`, and
+ *                         any other guess is `"invalidJSON"`.
+ *
+ * @typedef  {Object}      GuessError
+ *                         An object containing why a reformatted string did
+ *                         not parse as valid JSON, and where.
+ *
+ * @property {String}      GuessError.string The reformatted string.
+ *
+ * @property {String}      GuessError.message The `JSON.parse` error message.
+ *
+ * @property {Number}      GuessError.index The index of the error in the
+ *                         reformatted string.
+ *
+ * @property {Number}      GuessError.stringIndex The index of the error in
+ *                         the misformatted string.
+ *
+ * @property {Number}      GuessError.line The line number of the error in the
+ *                         misformatted string, starting at 1.
+ *
+ * @property {Number}      GuessError.column The UTF-32 character column of
+ *                         the error in the misformatted string, starting at 1.
+ *
+ * @property {FailureCause} GuessError.cause The likely reason the guess did
+ *                         not parse.
+ *
+ * @typedef  {Object}      ForkPoint
+ *                         An object containing where in the misformatted
+ *                         string the parser forked guesses.
+ *
+ * @property {String}      ForkPoint.character The character the guesses
+ *                         forked at, usually a single-quote.
+ *
+ * @property {Number}      ForkPoint.stringIndex The index of the character.
+ *
+ * @property {Number}      ForkPoint.characterIndex The UTF-32 character
+ *                         pseudo-index of the character.
+ *
+ * @property {Number}      ForkPoint.line The line number of the character,
+ *                         starting at 1.
+ *
+ * @property {Number}      ForkPoint.column The UTF-32 character column of the
+ *                         character, starting at 1.
+ *
+ * @property {Number}      ForkPoint.branches The number of guesses forked.
+ *
+ * @typedef  {Object}      Diagnostics
+ *                         An object containing why the parser failed, to fix
+ *                         the misformatted string by hand.
+ *
+ * @property {FailureCause} [Diagnostics.cause] The most common likely reason
+ *                         the guesses did not parse.
+ *
+ * @property {GuessError[]} Diagnostics.errors The error of every reformatted
+ *                         string checked, highest scoring guess first, and of
+ *                         the last guesses dropped for breaking the JSON
+ *                         grammar, the ones that got furthest into the
+ *                         misformatted string first.
+ *
+ * @property {ForkPoint[]} Diagnostics.forks Every place the parser forked
+ *                         guesses, in order.
+ *
+ * @property {Rejection[]} Diagnostics.rejected Every valid JSON string that
+ *                         did not validate against `opts.schema`, then every
+ *                         guess dropped while parsing for a complete string,
+ *                         array, or object that did not.
+ *
+ * @typedef  {(String|Array|Object)} SchemaShape
+ *                         A simpler description of the shape of the JSON than
+ *                         a JSON Schema. A type name string, like `"string"`,
+ *                         `"number"`, `"integer"`, `"boolean"`, `"null"`,
+ *                         `"object"`, `"array"`, or `"any"`, or a union of
+ *                         them, like `"string|null"`. An array of one shape
+ *                         for arrays of that shape. An object of shapes for
+ *                         objects with exactly those fields, where a field
+ *                         name ending in `?` is optional.
+ *
+ * @typedef  {Object}      SchemaCheck
+ *                         An object containing how well a value fits a JSON
+ *                         Schema.
+ *
+ * @property {String[]}    SchemaCheck.errors Why the value does not validate,
+ *                         empty if it validates.
+ *
+ * @property {Number}      SchemaCheck.matched The number of object fields the
+ *                         schema declares.
+ *
+ * @property {Number}      SchemaCheck.unknown The number of object fields the
+ *                         schema does not declare.
+ *
+ * @typedef  {Object}      Rejection
+ *                         An object containing a reformatted string that
+ *                         parsed as valid JSON, or the valid start of one,
+ *                         but did not validate.
+ *
+ * @property {String}      Rejection.string The reformatted valid JSON string,
+ *                         or its valid start.
+ *
+ * @property {String[]}    Rejection.errors Why the JSON does not validate.
+ *
+ * @typedef  {("bruteForce"|"tryHard"|"regexp")} ForkReason
+ *                         A string union type for why the parser forked a
+ *                         guess. `"bruteForce"` when `opts.bruteForce`
+ *                         returned `true`, `"tryHard"` for the extra guesses
+ *                         of `opts.tryHard`, and `"regexp"` when the RegExp
+ *                         auto-fill heuristic found both this single-quote
+ *                         and a following one could end the string.
+ *
+ * @typedef  {("fork"|"autoFill"|"merge"|"prune"|"accept"|"reject")} ParserEventType
+ *                         A string union type for what happened to a guess.
+ *
+ * @typedef  {Object}      ParserEvent
+ *                         An object containing one step of the parser, for
+ *                         `opts.onEvent`.
+ *
+ * @property {ParserEventType} ParserEvent.type What happened to the guess.
+ *
+ * @property {Number}      ParserEvent.id The `Guess.id` of the guess.
+ *
+ * @property {Number}      [ParserEvent.parent] The `Guess.id` of the guess a
+ *                         `"fork"` forked from.
+ *
+ * @property {(ForkReason|Truncation|"invalidPrefix"|"invalidJSON"|"schema")} [ParserEvent.reason]
+ *                         Why a `"fork"` forked, a `"prune"` dropped the
+ *                         guess, or a `"reject"` rejected the reformatted
+ *                         string. `"invalidPrefix"` rejects a guess as soon
+ *                         as its string can no longer become valid JSON, and
+ *                         `"schema"` as soon as a complete string, array, or
+ *                         object in it does not validate.
+ *
+ * @property {Number}      [ParserEvent.into] The `Guess.id` of the guess a
+ *                         `"merge"` merged the guess into.
+ *
+ * @property {Number}      [ParserEvent.stringIndex] The index of the
+ *                         character in the misformatted string a `"fork"`,
+ *                         `"autoFill"`, `"merge"`, or `"prune"` happened at.
+ *
+ * @property {Number}      [ParserEvent.characterIndex] The UTF-32 character
+ *                         pseudo-index of the same character.
+ *
+ * @property {String}      [ParserEvent.string] What a `"fork"` appended for
+ *                         the single-quote, what an `"autoFill"` appended, or
+ *                         the reformatted string an `"accept"` or `"reject"`
+ *                         checked.
+ *
+ * @property {Number}      [ParserEvent.score] The score of the candidate an
+ *                         `"accept"` accepted.
+ *
+ * @property {String[]}    [ParserEvent.errors] Why a `"reject"` rejected the
+ *                         reformatted string.
+ *
+ * @typedef  {Object}      GuessTraceNode
+ *                         An object containing everything that happened to
+ *                         one guess, in a guess tree.
+ *
+ * @property {Number}      GuessTraceNode.id The `Guess.id` of the guess.
+ *
+ * @property {Number}      [GuessTraceNode.parent] The `Guess.id` of the guess
+ *                         it forked from, unless it is the first guess.
+ *
+ * @property {ForkReason}  [GuessTraceNode.reason] Why it forked.
+ *
+ * @property {Number}      [GuessTraceNode.stringIndex] The index of the
+ *                         single-quote it forked at.
+ *
+ * @property {Number}      [GuessTraceNode.characterIndex] The UTF-32
+ *                         character pseudo-index of the same single-quote.
+ *
+ * @property {String}      [GuessTraceNode.string] What it appended for the
+ *                         single-quote it forked at.
+ *
+ * @property {ParserEvent[]} GuessTraceNode.autoFills Every `"autoFill"` of it.
+ *
+ * @property {ParserEvent} [GuessTraceNode.merged] The `"merge"` that merged
+ *                         it into another guess.
+ *
+ * @property {ParserEvent} [GuessTraceNode.pruned] The `"prune"` that dropped
+ *                         it.
+ *
+ * @property {ParserEvent[]} GuessTraceNode.results Every `"accept"` and
+ *                         `"reject"` of the reformatted strings of it.
+ *
+ * @typedef  {Object}      GuessTrace
+ *                         An object recording parser events as a guess tree.
+ *
+ * @property {function(ParserEvent): void} GuessTrace.onEvent The function to
+ *                         pass as `opts.onEvent`.
+ *
+ * @property {function(): Object} GuessTrace.toJSON Exports the guess tree as
+ *                         an object with every `GuessTraceNode` as `nodes`,
+ *                         for `JSON.stringify`.
+ *
+ * @property {function(): String} GuessTrace.toDOT Exports the guess tree as a
+ *                         Graphviz DOT graph.
+ *
+ * @typedef  {Object}      ParseResult
+ *                         An object containing the outcome of a `preParse`
+ *                         attempt to reformat a JSON string.
+ *
+ * @property {ParseStatus} ParseResult.status Whether the parser found one,
+ *                         many, or no valid JSON strings.
+ *
+ * @property {Boolean}     ParseResult.definitive Whether the parser found
+ *                         exactly one valid JSON string.
+ *
+ * @property {Candidate[]} ParseResult.candidates Every valid JSON string the
+ *                         parser reformatted, sorted best score first, empty
+ *                         if the parser failed.
+ *
+ * @property {Candidate}   [ParseResult.best] The highest scoring candidate,
+ *                         if the parser found any.
+ *
+ * @property {Boolean}     ParseResult.truncated Whether the parser dropped
+ *                         any guesses because a search limit was reached.
+ *
+ * @property {Truncation}  [ParseResult.truncatedBy] The first search limit
+ *                         that made the parser drop guesses.
+ *
+ * @property {String}      [ParseResult.reason] Why the parser did not find a
+ *                         definitive answer. Only set for `"ambiguous"` and
+ *                         `"failed"` results.
+ *
+ * @property {Diagnostics} [ParseResult.diagnostics] Why, and where, every
+ *                         guess failed. Only set for `"failed"` results.
+ *
+ * @typedef  {Object}      ReparseResult
+ *                         A `ParseResult` with the parsed JSON values of its
+ *                         candidates, revived by `opts.reviver`.
+ *
+ * @property {*}           [ReparseResult.value] The parsed JSON value of the
+ *                         best candidate, if the parser found any.
+ *
+ * @property {Array}       ReparseResult.values The parsed JSON value of every
+ *                         candidate, in the same order as the candidates.
+ *
+ * @typedef  {Object}      Fragment
+ *                         An object containing a misformatted JSON string
+ *                         found inside of a larger text, and its repair.
+ *
+ * @property {Number}      Fragment.start The index of the first character of
+ *                         the fragment in the text.
+ *
+ * @property {Number}      Fragment.end The index after the last character of
+ *                         the fragment in the text.
+ *
+ * @property {String}      Fragment.original The misformatted JSON string.
+ *
+ * @property {String}      [Fragment.string] The best reformatted valid JSON
+ *                         string, if the parser found any.
+ *
+ * @property {ParseStatus} Fragment.status The outcome of `preParse` for the
+ *                         fragment.
+ *
+ * @property {ParseResult} Fragment.result The full outcome of `preParse`.
+ *
+ * @typedef  {Object}      ScanResult
+ *                         An object containing every misformatted JSON string
+ *                         `scan` found inside of a larger text.
+ *
+ * @property {Fragment[]}  ScanResult.fragments Every fragment found, in the
+ *                         order they are in the text.
+ *
+ * @property {String}      [ScanResult.text] The text with every definitive
+ *                         fragment replaced by its reformatted string. Only
+ *                         set with `opts.rewrite`.
  */
 
 /**
- * @description            Reformats a misformatted JSON string to valid JSON.
+ * @type     {Object}      The amount each kind of single-quote decision adds
+ *                         to, or subtracts from, a candidate's score.
+ */
+const SCORE_WEIGHTS = {
+	// replaced single-quote next to a JSON delimiter, likely a string delimiter
+	quoteDelimited: 2,
+	// replaced single-quote not next to any JSON delimiter
+	quoteUndelimited: -1,
+	// kept single-quote next to a JSON delimiter, likely a missed delimiter
+	quoteKeptDelimited: -2,
+	// used the RegExp auto-fill heuristic to skip ahead
+	autoFill: -1,
+	// object field declared by `opts.schema`
+	schemaMatched: 1,
+	// object field not declared by `opts.schema`
+	schemaUnknown: -1
+}
+
+/**
+ * @type     {Object<String, String>} The opening quotes that a different
+ *                         quote closes, like smart-quotes do.
+ */
+const QUOTE_PAIRS = {
+	"‘": "’",
+	"“": "”"
+}
+
+/**
+ * @description            Checks whether a quote character can end a string
+ *                         another quote character started.
  *
- *                         **NOTE:** This function assumes that all
- *                         double-quotes are escaped correctly, like: `\"`.
+ * @param    {String}      openQuote The quote that started the string.
  *
- *                         If there are improperly escaped double-quotes, this
- *                         function will not be able to reformat the
- *                         misformatted JSON properly, unless custom logic in
- *                         an `opts.heuristic` function is used.
+ * @param    {String}      character The quote character to check.
  *
- *                         **NOTE:** this is _**NOT**_ designed for
- *                         performance or large JSON strings. This can have
- *                         `O(2^n)` time-complexity!
+ * @returns  {Boolean}     Whether the quote is the one that started the
+ *                         string, or its closing pair.
+ */
+function closesString(openQuote, character) {
+	return character === openQuote || character === QUOTE_PAIRS[openQuote]
+}
+
+/**
+ * @type     {Object<QuoteChoice, String>} How an ambiguous single-quote can
+ *                         be reformatted, and what each choice does.
+ */
+const QUOTE_CHOICES = {
+	end: "end string",
+	keep: "keep literal",
+	escape: 'escape as \\"'
+}
+
+/**
+ * @description            Checks whether a single-quote lines up with the
+ *                         delimiter heuristics, by being preceded by a JSON
+ *                         opening delimiter, or followed by a JSON closing
+ *                         delimiter.
  *
- * @param    {String}      misformattedJSON The string that is invalidly
- *                         formatted for JSON by using single-quotes (`'`)
- *                         instead of double-qutoes (`"`) to delimit string
- *                         values and object fields.
+ * @param    {String}      precedingString The JSON substring before the
+ *                         single-quote.
  *
- * @param    {Heuristic}   [heuristic] A function that takes a reference the
- *                         parser state information, and modifies the parser
- *                         guess state using the given reference. This allows
- *                         for much more complex logic.
+ * @param    {String}      followingString The JSON substring after the
+ *                         single-quote.
  *
- *                         Example:
+ * @returns  {Boolean}     Whether the single-quote is next to a delimiter.
+ */
+function isDelimitedQuote(precedingString, followingString) {
+	return (
+		// only the last character, a RegExp ending in `$` scans the whole string
+		/(^|[[{(,:])$/.test(precedingString.trimEnd().slice(-1)) ||
+		/^\s*([,:\]})]|$)/.test(followingString)
+	)
+}
+
+/**
+ * @description            Counts the single-quotes a reformatted string kept
+ *                         as string characters, with nothing but JSON
+ *                         delimiters between them and another single-quote,
+ *                         like in `':'` or `', '`. Each of those
+ *                         single-quotes more likely delimits a string of its
+ *                         own.
  *
- *                         Situations where the single-quote (`'`) needs to be
- *                         replaced by an escaped double-quote (`\\"`).
+ * @param    {String}      misformattedJSON The misformatted string.
  *
- * @param    {BruteForce}  [bruteForce] A function that takes information
- *                         about the current position of the single-quote in
- *                         the misformatted string the parser found. And
- *                         returns a boolean whether the parser will use
- *                         brute-force parsing, with time-complexity `O(2^n)`.
+ * @param    {Edit[]}      edits The edits of the reformatted string.
  *
- * @param    {Boolean}     [TRY_HARD] A flag to brute-force with default,
- *                         heuristics, with time-complexity at around:
- *                         `O(2^n)`. Can be better than a `bruteForce`, but
- *                         still not reccommended, use `heuristic` if possible.
+ * @param    {String[]}    quoteCharacters The characters reformatted like
+ *                         single-quotes.
  *
- * @returns  {String[]}    The reformatted string, or array of reformatted
- *                         strings, if there was no error in parsing.
+ * @returns  {Number}      The number of those kept single-quotes.
  */
- function preParse(misformattedJSON, bruteForce, heuristic, TRY_HARD) {
-	/*
-  if (TRY_HARD)
-    console.warn(
-      "THIS HAS O(2^n) TIME COMPLEXITY, MAKE SURE YOU KNOW WHAT YOU'RE DOING..."
-    )
-  */
-
+function countKeptDelimiterQuotes(misformattedJSON, edits, quoteCharacters) {
 	/**
-	 * @type   {Guess[]}     Array to store all of the parser's possible
-	 *                       solutions. Holds strings of the parser guesses.
-	 *                       Used when strings are ambiguous because of
-	 *                       incorrect formatting, and brute-forcing. Is
-	 *                       appended to by recursive calls to `preParse`.
+	 * @type   {Set<Number>} The indexes of the replaced single-quotes.
 	 */
-	let guesses = [
-		{
-			string: "",
-			isString: false,
-			isEscaped: false,
-			isArray: 0,
-			isObject: 0,
-			isObjectField: false,
-			isObjectValue: false,
-			isJSONType: undefined,
-			aufoFilled: 0
-		}
-	]
+	const replaced = new Set(edits.map(({ stringIndex }) => stringIndex))
 
 	/**
-	 * @type   {String[]}    Fixed-width array to index each UTF-32 character.
-	 *                       JavaScript strings are indexed by UTF-16 code units,
-	 *                       which are 2 bytes (16 bits) in length, a single
-	 *                       UTF-32 character is 4 bytes (32 bits), the same as
-	 *                       a complete UTF-16 surrogate pair, (which is two
-	 *                       UTF-16 code units).
+	 * @type   {Number[]}    The indexes of every single-quote.
 	 */
-	let fixedWidthCharacterArray = []
+	const quotes = []
 
-	// iteration over each UTF-32 code point to add to UTF-32 array
+	for (let index = 0; index < misformattedJSON.length; index++)
+		if (quoteCharacters.includes(misformattedJSON[index])) quotes.push(index)
+
+	// only JSON delimiters between two single-quotes
+	const delimiterOnly = (from, to) =>
+		from !== undefined &&
+		to !== undefined &&
+		/^\s*(?:[[\]{}:,]\s*)+$/.test(misformattedJSON.slice(from + 1, to))
+
+	return quotes.filter(
+		(index, position) =>
+			!replaced.has(index) &&
+			(delimiterOnly(quotes[position - 1], index) ||
+				delimiterOnly(index, quotes[position + 1]))
+	).length
+}
+
+/**
+ * @description            Records a change a guess made to the misformatted
+ *                         string, if the text was changed.
+ *
+ * @param    {Guess}       guess The parser guess that made the change.
+ *
+ * @param    {String}      original The text of the misformatted string.
+ *
+ * @param    {String}      replacement The text the guess appended for it.
+ *
+ * @param    {Number}      stringIndex The index of the text in the
+ *                         misformatted string.
+ *
+ * @param    {Number}      characterIndex The UTF-32 character pseudo-index of
+ *                         the text in the misformatted string.
+ *
+ * @returns  {Guess}       The same parser guess, for chaining.
+ */
+function recordEdit(guess, original, replacement, stringIndex, characterIndex) {
+	if (original === replacement) return guess
+
+	guess.edits = {
+		edit: { stringIndex, characterIndex, original, replacement },
+		previous: guess.edits
+	}
+
+	return guess
+}
+
+/**
+ * @description            Lists the edits of a guess, oldest first.
+ *
+ * @param    {EditLink}    [edits] The most recent edit to list from.
+ *
+ * @param    {EditLink}    [until] The edit to stop listing at, exclusive.
+ *
+ * @returns  {Edit[]}      The edits, in order.
+ */
+function listEdits(edits, until) {
+	/**
+	 * @type   {Edit[]}      The edits, most recent first.
+	 */
+	const list = []
+
+	for (let link = edits; link && link !== until; link = link.previous)
+		list.push(link.edit)
+
+	return list.reverse()
+}
+
+/**
+ * @description            Counts a single-quote decision for a guess, so the
+ *                         guess can be scored if it parses as valid JSON. And
+ *                         records the edit, if the single-quote was replaced.
+ *
+ * @param    {Guess}       guess The parser guess that made the decision.
+ *
+ * @param    {String}      replacement The text the guess appended for the
+ *                         single-quote. Anything but the kept quote character
+ *                         counts as replaced.
+ *
+ * @param    {QuotePosition} quote Where the single-quote is, and whether it
+ *                         is next to a JSON delimiter.
+ *
+ * @returns  {Guess}       The same parser guess, for chaining.
+ */
+function tallyQuote(
+	guess,
+	replacement,
+	{ delimited, stringIndex, characterIndex, character }
+) {
+	/**
+	 * @type   {Boolean}     Whether the single-quote was replaced, instead of
+	 *                       kept.
+	 */
+	const replaced = !replacement.startsWith(character)
+
+	recordEdit(guess, character, replacement, stringIndex, characterIndex)
+
+	if (replaced) {
+		guess.quotesReplaced++
+		if (delimited) guess.quotesDelimited++
+	} else {
+		guess.quotesKept++
+		if (delimited) guess.quotesKeptDelimited++
+	}
+
+	return guess
+}
+
+/**
+ * @description            Scores a parser guess by the single-quote decisions
+ *                         it made so far. Used to rank complete guesses, and
+ *                         to prune incomplete guesses when the search is
+ *                         bounded.
+ *
+ * @param    {Guess}       guess The parser guess to score.
+ *
+ * @returns  {Number}      The confidence score of the guess, higher is better.
+ */
+function guessScore({
+	autoFills,
+	quotesDelimited,
+	quotesKeptDelimited,
+	quotesReplaced
+}) {
+	return (
+		quotesDelimited * SCORE_WEIGHTS.quoteDelimited +
+		(quotesReplaced - quotesDelimited) * SCORE_WEIGHTS.quoteUndelimited +
+		quotesKeptDelimited * SCORE_WEIGHTS.quoteKeptDelimited +
+		autoFills * SCORE_WEIGHTS.autoFill
+	)
+}
+
+/**
+ * @description            Scores a parser guess by the single-quote decisions
+ *                         it made, and explains the score.
+ *
+ * @param    {Guess}       guess The parser guess that parsed as valid JSON.
+ *
+ * @returns  {Candidate}   The scored candidate for the guess.
+ */
+function scoreGuess(guess) {
+	const {
+		autoFills,
+		quotesDelimited,
+		quotesKept,
+		quotesKeptDelimited,
+		quotesReplaced
+	} = guess
+
+	const quotesUndelimited = quotesReplaced - quotesDelimited
+	const quotesKeptUndelimited = quotesKept - quotesKeptDelimited
+
+	/**
+	 * @type   {String[]}    The explanations of each part of the score.
+	 */
+	const reasons = []
+
+	if (quotesDelimited)
+		reasons.push(
+			`replaced ${quotesDelimited} single-quote(s) next to a JSON delimiter`
+		)
+	if (quotesUndelimited)
+		reasons.push(
+			`replaced ${quotesUndelimited} single-quote(s) not next to a JSON delimiter`
+		)
+	if (quotesKeptUndelimited)
+		reasons.push(
+			`kept ${quotesKeptUndelimited} single-quote(s) as string characters`
+		)
+	if (quotesKeptDelimited)
+		reasons.push(
+			`kept ${quotesKeptDelimited} single-quote(s) next to a JSON delimiter`
+		)
+	if (autoFills)
+		reasons.push(`used the RegExp auto-fill heuristic ${autoFills} time(s)`)
+
+	return {
+		string: guess.string,
+		score: guessScore(guess),
+		reasons
+	}
+}
+
+/**
+ * @type     {Object<String, String>} The escape sequence characters that are
+ *                         already valid JSON, and what to append for them.
+ */
+const JSON_ESCAPES = {
+	'"': '\\"',
+	"\\": "\\\\",
+	"/": "\\/",
+	b: "\\b",
+	f: "\\f",
+	n: "\\n",
+	r: "\\r",
+	t: "\\t"
+}
+
+/**
+ * @type     {Object<String, String>} The escape sequence characters that are
+ *                         only valid in JavaScript, and their JSON rewrite.
+ */
+const JS_ESCAPES = {
+	// escaped single-quotes don't need escaping in JSON
+	"'": "'",
+	// vertical tab has no short JSON escape sequence
+	v: "\\u000b",
+	// line continuations are removed from the string
+	"\n": "",
+	"\u2028": "",
+	"\u2029": ""
+}
+
+/**
+ * @type     {Object<String, String>} The escape sequence characters that are
+ *                         only valid in Python, and their JSON rewrite.
+ */
+const PYTHON_ESCAPES = {
+	// bell has no short JSON escape sequence
+	a: "\\u0007"
+}
+
+/**
+ * @type     {Object<String, String>} The Python literals, and their JSON
+ *                         rewrite.
+ */
+const PYTHON_LITERALS = {
+	True: "true",
+	False: "false",
+	None: "null"
+}
+
+/**
+ * @description            Makes a JSON `\uXXXX` escape sequence for each
+ *                         UTF-16 code unit of a string.
+ *
+ * @param    {String}      string The characters to escape.
+ *
+ * @returns  {String}      The JSON escape sequences.
+ */
+function unicodeEscape(string) {
+	let escaped = ""
+
+	for (let index = 0; index < string.length; index++)
+		escaped += "\\u" + string.charCodeAt(index).toString(16).padStart(4, "0")
+
+	return escaped
+}
+
+/**
+ * @description            Makes one character valid inside of a JSON string,
+ *                         by escaping control characters, which JSON strings
+ *                         can't contain unescaped. And by escaping
+ *                         double-quotes, which are literal text inside of a
+ *                         single-quoted string, but would end a JSON string.
+ *
+ * @param    {String}      character The character to make valid.
+ *
+ * @returns  {String}      The valid JSON string text for the character.
+ */
+function jsonCharacter(character) {
+	return character < " " || character === '"'
+		? JSON.stringify(character).slice(1, -1)
+		: character
+}
+
+/**
+ * @description            Continues an unfinished escape sequence by one
+ *                         character, rewriting it to valid JSON when it is
+ *                         finished. Malformed `\x` and `\u` escape sequences
+ *                         have their reverse solidus escaped, to keep them as
+ *                         literal text.
+ *
+ * @param    {String}      isEscaped The unfinished escape sequence.
+ *
+ * @param    {String}      [character] The next character, unset at the end
+ *                         of the string.
+ *
+ * @param    {ParseMode}   [mode] The dialect of the escape sequence.
+ *                         `"python"` adds `\a` and `\UXXXXXXXX`, and keeps
+ *                         the reverse solidus of unknown escape sequences.
+ *
+ * @returns  {EscapeStep}  What to append, and the next escape state.
+ */
+function continueEscape(isEscaped, character, mode) {
+	const sequence = isEscaped + (character ?? "")
+	const isHex = /^[\da-f]$/i.test(character)
+
+	// only the reverse solidus so far
+	if (isEscaped === "\\" && character !== undefined) {
+		if (Object.hasOwn(JSON_ESCAPES, character))
+			return {
+				string: JSON_ESCAPES[character],
+				isEscaped: false,
+				consumed: true
+			}
+
+		if (Object.hasOwn(JS_ESCAPES, character))
+			return { string: JS_ESCAPES[character], isEscaped: false, consumed: true }
+
+		if (mode === "python" && Object.hasOwn(PYTHON_ESCAPES, character))
+			return {
+				string: PYTHON_ESCAPES[character],
+				isEscaped: false,
+				consumed: true
+			}
+
+		// multi-character escape sequences
+		if (
+			/^[ux0-7\r]$/.test(character) ||
+			(mode === "python" && character === "U")
+		)
+			return { string: "", isEscaped: sequence, consumed: true }
+
+		// JavaScript ignores the reverse solidus of unknown escape sequences,
+		// Python keeps it
+		return {
+			string: (mode === "python" ? "\\\\" : "") + jsonCharacter(character),
+			isEscaped: false,
+			consumed: true
+		}
+	}
+
+	// `\UXXXXXXXX` Python code point escape sequence
+	if (mode === "python" && /^\\U[\da-fA-F]{0,7}$/.test(isEscaped) && isHex) {
+		if (sequence.length < 10)
+			return { string: "", isEscaped: sequence, consumed: true }
+
+		const codePoint = parseInt(sequence.slice(2), 16)
+
+		if (codePoint <= 0x10ffff)
+			return {
+				string: unicodeEscape(String.fromCodePoint(codePoint)),
+				isEscaped: false,
+				consumed: true
+			}
+	}
+
+	// `\uXXXX` unicode escape sequence, already valid JSON
+	if (/^\\u[\da-f]{0,3}$/i.test(isEscaped) && isHex)
+		return sequence.length === 6
+			? { string: sequence, isEscaped: false, consumed: true }
+			: { string: "", isEscaped: sequence, consumed: true }
+
+	// `\u{X}` code point escape sequence, as a surrogate pair if needed
+	if (isEscaped === "\\u" && character === "{")
+		return { string: "", isEscaped: sequence, consumed: true }
+
+	if (/^\\u\{[\da-f]*$/i.test(isEscaped)) {
+		if (isHex && isEscaped.length < 9)
+			return { string: "", isEscaped: sequence, consumed: true }
+
+		const codePoint = parseInt(isEscaped.slice(3), 16)
+
+		if (character === "}" && codePoint <= 0x10ffff)
+			return {
+				string: unicodeEscape(String.fromCodePoint(codePoint)),
+				isEscaped: false,
+				consumed: true
+			}
+	}
+
+	// `\xXX` hexadecimal escape sequence
+	if (/^\\x[\da-f]?$/i.test(isEscaped) && isHex)
+		return sequence.length === 4
+			? {
+					string: "\\u00" + sequence.slice(2),
+					isEscaped: false,
+					consumed: true
+			  }
+			: { string: "", isEscaped: sequence, consumed: true }
+
+	// `\0` and legacy octal escape sequences, up to `\377`
+	if (/^\\[0-7]+$/.test(isEscaped)) {
+		if (/^[0-7]$/.test(character) && parseInt(sequence.slice(1), 8) <= 0o377)
+			return { string: "", isEscaped: sequence, consumed: true }
+
+		return {
+			string: unicodeEscape(
+				String.fromCharCode(parseInt(isEscaped.slice(1), 8))
+			),
+			isEscaped: false,
+			consumed: false
+		}
+	}
+
+	// `\` followed by `\r\n` line continuation
+	if (isEscaped === "\\\r")
+		return { string: "", isEscaped: false, consumed: character === "\n" }
+
+	// malformed escape sequence, keep the reverse solidus as literal text
+	return {
+		string: "\\\\" + isEscaped.slice(1),
+		isEscaped: false,
+		consumed: false
+	}
+}
+
+/**
+ * @description            Makes a substring of a JSON string value valid,
+ *                         using the same escape sequence rewriting as
+ *                         `preParse`. The substring must not contain any
+ *                         unescaped single-quote string delimiters.
+ *
+ * @param    {String}      string The substring of the JSON string value.
+ *
+ * @param    {ParseMode}   [mode] The dialect of the escape sequences.
+ *
+ * @param    {Function}    [onEdit] Called with the original text, its
+ *                         replacement, and their string index and UTF-32
+ *                         character pseudo-index in the substring, for each
+ *                         character or escape sequence.
+ *
+ * @returns  {String}      The valid JSON string text.
+ */
+function escapeString(string, mode, onEdit) {
+	let escaped = ""
+
+	/**
+	 * @type   {EscapeState} The unfinished escape sequence.
+	 */
+	let isEscaped = false
+
+	// where the unfinished escape sequence started
+	let escapeIndex = 0
+	let escapeCharacterIndex = 0
+
+	let stringIndex = 0
+	let characterIndex = 0
+
+	for (const character of string) {
+		if (isEscaped) {
+			const escape = continueEscape(isEscaped, character, mode)
+
+			escaped += escape.string
+			isEscaped = escape.isEscaped
+
+			if (escape.string) {
+				const end = escape.consumed
+					? stringIndex + character.length
+					: stringIndex
+
+				onEdit?.(
+					string.slice(escapeIndex, end),
+					escape.string,
+					escapeIndex,
+					escapeCharacterIndex
+				)
+			}
+
+			if (escape.consumed) {
+				stringIndex += character.length
+				characterIndex++
+
+				continue
+			}
+		}
+
+		if (character === "\\") {
+			isEscaped = character
+			escapeIndex = stringIndex
+			escapeCharacterIndex = characterIndex
+		} else {
+			escaped += jsonCharacter(character)
+			onEdit?.(character, jsonCharacter(character), stringIndex, characterIndex)
+		}
+
+		stringIndex += character.length
+		characterIndex++
+	}
+
+	// finish an escape sequence cut off by the end of the substring
+	if (isEscaped) {
+		const escape = continueEscape(isEscaped, undefined, mode)
+
+		escaped += escape.string
+		onEdit?.(
+			string.slice(escapeIndex),
+			escape.string,
+			escapeIndex,
+			escapeCharacterIndex
+		)
+	}
+
+	return escaped
+}
+
+/**
+ * @description            Converts a JavaScript number literal to a JSON
+ *                         number, by removing `+` signs and leading zeros,
+ *                         completing leading-dot and trailing-dot decimals,
+ *                         and converting hexadecimal to decimal.
+ *
+ * @param    {String}      number The JavaScript number literal.
+ *
+ * @param    {("null"|"reject")} nonFiniteNumbers How to convert `Infinity`
+ *                         and `NaN`, which JSON can't express. `"null"`, like
+ *                         `JSON.stringify`, or `"reject"` to keep them, so the
+ *                         guess fails to parse.
+ *
+ * @returns  {String}      The JSON number text.
+ */
+function jsonNumber(number, nonFiniteNumbers) {
+	const [, sign, digits] = /^([+-]?)(.*)$/.exec(number)
+
+	// `Infinity` and `NaN` are not JSON numbers
+	if (/^(Infinity|NaN)$/.test(digits))
+		return nonFiniteNumbers === "reject" ? number : "null"
+
+	// JSON only has a negative sign
+	const jsonSign = sign === "-" ? "-" : ""
+
+	// hexadecimal to decimal, without losing precision of large integers
+	if (/^0x/i.test(digits)) return jsonSign + BigInt(digits).toString()
+
+	const [, integer, fraction, exponent] = /^(\d*)\.?(\d*)([eE][+-]?\d+)?$/.exec(
+		digits
+	)
+
+	return (
+		jsonSign +
+		(integer.replace(/^0+(?=\d)/, "") || "0") +
+		(fraction ? "." + fraction : "") +
+		(exponent ?? "")
+	)
+}
+
+/**
+ * @description            Rewrites a character outside of a string, that is
+ *                         only valid in a dialect, to valid JSON.
+ *
+ * @param    {String}      character The character outside of a string.
+ *
+ * @param    {StringPosition} position Where in the misformatted string the
+ *                         character is, and the parser guess that found it.
+ *
+ * @param    {PreParseOptions} opts The dialect settings, `opts.mode` and
+ *                         `opts.nonFiniteNumbers`.
+ *
+ * @returns  {DialectStep} [undefined] How to rewrite the character, unset if
+ *                         it is already valid JSON.
+ */
+function rewriteDialect(
+	character,
+	{ currentGuess, precedingString, followingString },
+	{ mode, nonFiniteNumbers }
+) {
+	if (mode !== "python" && mode !== "json5") return
+
+	/**
+	 * @type   {String}      The misformatted string from the character on.
+	 */
+	const source = character + followingString
+
+	// tuples are arrays
+	if (mode === "python" && character === "(") return { string: "[", skip: 0 }
+	if (mode === "python" && character === ")") return { string: "]", skip: 0 }
+
+	// comments are removed, including any single-quotes inside of them
+	if (mode === "json5" && character === "/") {
+		const comment =
+			/^\/\/[^\n\r\u2028\u2029]*|^\/\*(?:[\s\S]*?\*\/|[\s\S]*)/.exec(source)
+
+		if (comment) return { string: "", skip: [...comment[0]].length - 1 }
+	}
+
+	// trailing commas are removed, even if followed by comments
+	if (
+		character === "," &&
+		(mode === "json5"
+			? /^(?:\s|\/\/.*|\/\*[\s\S]*?\*\/)*[\]}]/
+			: /^\s*[\]})]/
+		).test(followingString)
+	)
+		return { string: "", skip: 0 }
+
+	// only the start of a word can be a literal, key, or string prefix
+	if (/[\w$.]$/.test(precedingString.slice(-1))) return
+
+	if (mode === "python") {
+		/**
+		 * @type {RegExpExecArray|null} The Python literal starting here.
+		 */
+		const literal = /^(True|False|None)(?![\w.])/.exec(source)
+
+		// dict keys are quoted, like `json.dumps` quotes them
+		if (literal)
+			return {
+				string: currentGuess.isObjectField
+					? JSON.stringify(PYTHON_LITERALS[literal[1]])
+					: PYTHON_LITERALS[literal[1]],
+				skip: literal[1].length - 1
+			}
+
+		// unicode and bytes string prefixes are removed
+		if (/^[uUbB]$/.test(character) && /^['"]/.test(followingString))
+			return { string: "", skip: 0 }
+
+		// numeric dict keys, quoted like `json.dumps` quotes them
+		if (currentGuess.isObjectField) {
+			const key = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?(?![\w.])/.exec(
+				source
+			)
+
+			if (key)
+				return { string: JSON.stringify(key[0]), skip: key[0].length - 1 }
+
+			return
+		}
+
+		/**
+		 * @type {RegExpExecArray|null} The `repr()` of a non-finite float
+		 *                 starting here.
+		 */
+		const nonFinite = /^(-?)(inf|nan)(?![\w.])/.exec(source)
+
+		if (nonFinite)
+			return {
+				string: jsonNumber(
+					nonFinite[1] + (nonFinite[2] === "inf" ? "Infinity" : "NaN"),
+					nonFiniteNumbers
+				),
+				skip: nonFinite[0].length - 1
+			}
+
+		return
+	}
+
+	// unquoted object field identifiers, and JavaScript numeric keys, quoted
+	// like JavaScript converts them to strings, like `1.50` to `"1.5"`
+	if (currentGuess.isObjectField) {
+		const key =
+			/^(?:[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*|(0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$.]))/u.exec(
+				source
+			)
+
+		if (key)
+			return {
+				string: JSON.stringify(
+					key[1] === undefined ? key[0] : String(Number(key[1]))
+				),
+				skip: [...key[0]].length - 1
+			}
+
+		return
+	}
+
+	/**
+	 * @type   {RegExpExecArray|null} The JavaScript number literal starting
+	 *                       here.
+	 */
+	const number =
+		/^[+-]?(?:Infinity|NaN|0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$.])/.exec(
+			source
+		)
+
+	if (number) {
+		const rewritten = jsonNumber(number[0], nonFiniteNumbers)
+
+		// already a JSON number
+		if (rewritten !== number[0])
+			return { string: rewritten, skip: number[0].length - 1 }
+	}
+}
+
+/**
+ * @type     {String[]}    The `Guess` properties that are scoring counters.
+ */
+const TALLY_KEYS = [
+	"autoFills",
+	"quotesReplaced",
+	"quotesDelimited",
+	"quotesKept",
+	"quotesKeptDelimited"
+]
+
+/**
+ * @type     {String[]}    The `Guess` properties that are parser state. Guesses
+ *                         with equal parser state parse the rest of the
+ *                         string the same way, and can be merged.
+ */
+const STATE_KEYS = [
+	"isString",
+	"isEscaped",
+	"isDoubleQuoted",
+	"openQuote",
+	"containers",
+	"isObjectField",
+	"isObjectValue",
+	"isJSONType",
+	"aufoFilled",
+	"grammar",
+	"schemaPath"
+]
+
+/**
+ * @description            Copies the scoring counters of a guess, or makes
+ *                         zeroed scoring counters.
+ *
+ * @param    {Guess|Tally} [guess] The guess to copy the counters of.
+ *
+ * @param    {Tally}       [since] The counters to subtract, to only copy the
+ *                         counters added after them.
+ *
+ * @returns  {Tally}       The copied scoring counters.
+ */
+function tallyOf(guess, since) {
+	/**
+	 * @type   {Tally}       The copied scoring counters.
+	 */
+	const tally = {}
+
+	for (const key of TALLY_KEYS)
+		tally[key] = (guess?.[key] ?? 0) - (since?.[key] ?? 0)
+
+	return tally
+}
+
+/**
+ * @description            Merges guesses with equal parser state into one
+ *                         guess, keeping the highest scoring guess string, and
+ *                         recording the alternative prefixes in a lattice.
+ *
+ * @param    {Guess[]}     guesses The guesses to merge.
+ *
+ * @param    {Function}    [onMerge] Called with the kept guess, and each
+ *                         guess merged into it.
+ *
+ * @returns  {Guess[]}     The merged guesses, in the order of the first guess
+ *                         of each parser state.
+ */
+function mergeGuesses(guesses, onMerge) {
+	// a single guess has nothing to merge with
+	if (guesses.length < 2) return guesses
+
+	/**
+	 * @type   {Map<String, Guess[]>} The guesses grouped by parser state.
+	 */
+	const states = new Map()
+
+	for (const guess of guesses) {
+		const key = JSON.stringify(STATE_KEYS.map(stateKey => guess[stateKey]))
+
+		if (states.has(key)) states.get(key).push(guess)
+		else states.set(key, [guess])
+	}
+
+	// nothing to merge
+	if (states.size === guesses.length) return guesses
+
+	return [...states.values()].map(equivalents => {
+		if (equivalents.length === 1) return equivalents[0]
+
+		// highest scoring first, ties keep the order the guesses were made in
+		equivalents.sort((a, b) => guessScore(b) - guessScore(a))
+
+		const [merged] = equivalents
+
+		for (const guess of equivalents.slice(1)) onMerge?.(merged, guess)
+
+		/**
+		 * @type {LatticeNode} The alternative ways to reach this parser state.
+		 */
+		const node = { edges: [] }
+
+		for (const { prefix, string, edits, ...guess } of equivalents) {
+			const edge = {
+				from: prefix.node,
+				string: string.slice(prefix.length),
+				tally: tallyOf(guess, prefix.tally),
+				edits: listEdits(edits, prefix.edits)
+			}
+
+			// the same alternative reached twice only reformats the same strings,
+			// keep the highest scoring one
+			if (
+				!node.edges.some(
+					({ from, string }) => from === edge.from && string === edge.string
+				)
+			)
+				node.edges.push(edge)
+		}
+
+		merged.prefix = {
+			node,
+			length: merged.string.length,
+			tally: tallyOf(merged),
+			edits: merged.edits
+		}
+
+		return merged
+	})
+}
+
+/**
+ * @description            Lists every distinct reformatted string a merged
+ *                         guess stands for, by walking its lattice of
+ *                         alternative prefixes, best scoring edges first.
+ *
+ * @param    {Guess}       guess The merged guess to reconstruct.
+ *
+ * @yields   {Tally & {string: String, edits: Edit[]}} Each reformatted
+ *                         string, with the scoring counters and edits of the
+ *                         way it was reached.
+ */
+function* reconstructGuess(guess) {
+	const { prefix } = guess
+
+	/**
+	 * @type   {Array<{node: LatticeNode, string: String, tally: Tally, edits: Edit[]}>}
+	 *                       The partially reconstructed strings to continue.
+	 */
+	const stack = [
+		{
+			node: prefix.node,
+			string: guess.string.slice(prefix.length),
+			tally: tallyOf(guess, prefix.tally),
+			edits: listEdits(guess.edits, prefix.edits)
+		}
+	]
+
+	while (stack.length) {
+		const { node, string, tally, edits } = stack.pop()
+
+		// reached the start of the string
+		if (!node) {
+			yield { ...tally, string, edits }
+			continue
+		}
+
+		// reversed, so the best scoring edge is continued first
+		for (let edgeIndex = node.edges.length - 1; edgeIndex >= 0; edgeIndex--) {
+			const edge = node.edges[edgeIndex]
+
+			stack.push({
+				node: edge.from,
+				string: edge.string + string,
+				tally: Object.fromEntries(
+					TALLY_KEYS.map(key => [key, tally[key] + edge.tally[key]])
+				),
+				edits: [...edge.edits, ...edits]
+			})
+		}
+	}
+}
+
+/**
+ * @type     {GrammarState} Where an empty string is in the JSON grammar.
+ */
+const GRAMMAR_START = { stack: "", mode: "value", key: false, rest: "" }
+
+/**
+ * @type     {Object}      The rest of each JSON literal, by first character.
+ */
+const JSON_LITERALS = { t: "rue", f: "alse", n: "ull" }
+
+/**
+ * @description            Checks more text of a JSON string against the JSON
+ *                         grammar, continuing from where the text before it
+ *                         ended. Like a streaming JSON parser that only
+ *                         checks, and never builds values.
+ *
+ * @param    {GrammarState} grammar Where the text before it ended.
+ *
+ * @param    {String}      text The text to check.
+ *
+ * @param    {Number}      [offset] The length of the text before it, for the
+ *                         index of errors.
+ *
+ * @returns  {(GrammarState|GrammarError)} Where the text ended, or where it
+ *                         stopped being a valid start of a JSON string.
+ */
+function advanceGrammar(grammar, text, offset = 0) {
+	let { stack, mode, key, rest } = grammar
+
+	// a value ended, continue in the container it is nested within
+	const endValue = () => {
+		mode = stack ? "commaOrEnd" : "end"
+	}
+
+	// open a container, or start a string, number, or literal
+	const startValue = character => {
+		if (character === '"') {
+			mode = "string"
+			key = false
+		} else if (character === "[") {
+			stack += character
+			mode = "valueOrEnd"
+		} else if (character === "{") {
+			stack += character
+			mode = "keyOrEnd"
+		} else if (character === "-") mode = "minus"
+		else if (character === "0") mode = "zero"
+		else if (/[1-9]/.test(character)) mode = "integer"
+		else if (JSON_LITERALS[character]) {
+			mode = "literal"
+			rest = JSON_LITERALS[character]
+		} else return false
+
+		return true
+	}
+
+	// close the innermost container, if it is the right one
+	const endContainer = character => {
+		if (stack.at(-1) !== (character === "]" ? "[" : "{")) return false
+
+		stack = stack.slice(0, -1)
+		endValue()
+
+		return true
+	}
+
+	for (let index = 0; index < text.length; index++) {
+		const character = text[index]
+
+		// whitespace is allowed between every token
+		if (
+			/[ \t\n\r]/.test(character) &&
+			!["string", "escape", "literal"].includes(mode) &&
+			!mode.startsWith("hex")
+		) {
+			// whitespace ends a number
+			if (["zero", "integer", "fraction", "exponentDigits"].includes(mode))
+				endValue()
+			else if (["minus", "point", "exponent", "exponentSign"].includes(mode))
+				return {
+					error: offset + index,
+					message: `Unterminated number in JSON at position ${offset + index}`
+				}
+
+			continue
+		}
+
+		/**
+		 * @type {Boolean}   Whether the character is valid here.
+		 */
+		let valid = true
+
+		switch (mode) {
+			case "value":
+				valid = startValue(character)
+				break
+			case "valueOrEnd":
+				valid =
+					character === "]" ? endContainer(character) : startValue(character)
+				break
+			case "keyOrEnd":
+			case "key":
+				if (character === '"') {
+					mode = "string"
+					key = true
+				} else
+					valid =
+						mode === "keyOrEnd" && character === "}" && endContainer(character)
+				break
+			case "colon":
+				valid = character === ":"
+				mode = "value"
+				break
+			case "commaOrEnd":
+				if (character === ",") mode = stack.at(-1) === "[" ? "value" : "key"
+				else
+					valid =
+						(character === "]" || character === "}") && endContainer(character)
+				break
+			case "end":
+				valid = false
+				break
+			case "string":
+				if (character === '"') {
+					if (key) mode = "colon"
+					else endValue()
+					key = false
+				} else if (character === "\\") mode = "escape"
+				else if (character < " ")
+					return {
+						error: offset + index,
+						message: `Bad control character in string literal in JSON at position ${
+							offset + index
+						}`
+					}
+				break
+			case "escape":
+				if (character === "u") mode = "hex4"
+				else {
+					valid = '"\\/bfnrt'.includes(character)
+					mode = "string"
+				}
+				break
+			case "hex4":
+			case "hex3":
+			case "hex2":
+			case "hex1":
+				valid = /[0-9a-fA-F]/.test(character)
+				mode = mode === "hex1" ? "string" : `hex${mode.at(-1) - 1}`
+				break
+			case "literal":
+				valid = character === rest[0]
+				rest = rest.slice(1)
+				if (!rest) endValue()
+				break
+			case "minus":
+				valid = /\d/.test(character)
+				mode = character === "0" ? "zero" : "integer"
+				break
+			case "point":
+				valid = /\d/.test(character)
+				mode = "fraction"
+				break
+			case "exponent":
+				valid = /[\d+-]/.test(character)
+				mode = /\d/.test(character) ? "exponentDigits" : "exponentSign"
+				break
+			case "exponentSign":
+				valid = /\d/.test(character)
+				mode = "exponentDigits"
+				break
+			// the rest of a number, or the character after it
+			default:
+				if (/\d/.test(character) && mode !== "zero") break
+				if (character === "." && (mode === "zero" || mode === "integer")) {
+					mode = "point"
+					break
+				}
+				if (/[eE]/.test(character) && mode !== "exponentDigits") {
+					mode = "exponent"
+					break
+				}
+
+				// the number ended, check the character after it
+				endValue()
+				index--
+		}
+
+		if (!valid)
+			return {
+				error: offset + index,
+				message: `Unexpected token ${JSON.stringify(
+					character
+				)} in JSON at position ${offset + index}`
+			}
+	}
+
+	return { stack, mode, key, rest }
+}
+
+/**
+ * @type     {String[]}    The grammar modes between two values, where a
+ *                         valid start of a JSON string can be cut off, and
+ *                         completed by closing its open arrays and objects.
+ */
+const COMPLETE_MODES = [
+	"valueOrEnd",
+	"keyOrEnd",
+	"commaOrEnd",
+	"end",
+	"zero",
+	"integer",
+	"fraction",
+	"exponentDigits"
+]
+
+/**
+ * @description            Finds how to complete a valid start of a JSON
+ *                         string that was cut off. Closes the open string,
+ *                         literal, or number, drops a dangling object field,
+ *                         colon, or comma, and closes every open array and
+ *                         object, innermost first.
+ *
+ * @param    {String}      string The valid start of a JSON string.
+ *
+ * @returns  {(Object|undefined)} The `length` of the start to keep, and the
+ *                         `suffix` to append to it, or `undefined` if the
+ *                         string is already complete, or can't be completed.
+ */
+function completeTruncation(string) {
+	/**
+	 * @type   {(GrammarState|GrammarError)} Where the string is so far.
+	 */
+	let grammar = GRAMMAR_START
+
+	/**
+	 * @type   {Object}      The longest start of the string that ends between
+	 *                       two values, and where it is in the grammar.
+	 */
+	let cut
+
+	for (let index = 0; index < string.length; index++) {
+		grammar = advanceGrammar(grammar, string[index], index)
+
+		if (grammar.error !== undefined) return
+
+		if (COMPLETE_MODES.includes(grammar.mode))
+			cut = { length: index + 1, grammar }
+	}
+
+	if (grammar.mode === "end") return
+
+	let { length } = string
+	let suffix = ""
+
+	/**
+	 * @type   {Boolean}     Whether the string ends inside of a JSON string.
+	 */
+	const isString =
+		["string", "escape"].includes(grammar.mode) ||
+		grammar.mode.startsWith("hex")
+
+	// drop an unfinished escape sequence, like `\` or `\u00`
+	if (grammar.mode === "escape") length -= 1
+	else if (grammar.mode.startsWith("hex")) length -= 6 - grammar.mode.at(-1)
+
+	// drop the dangling object field, colon, or comma
+	if (grammar.key || ["colon", "key", "value"].includes(grammar.mode)) {
+		// nothing complete to keep
+		if (!cut) return
+
+		length = cut.length
+		grammar = cut.grammar
+	}
+	// finish the literal, like `tr` to `true`
+	else if (grammar.mode === "literal") suffix = grammar.rest
+	// close the string value
+	else if (isString) suffix = '"'
+	// finish the number, like `-` to `-0`, or `1.` to `1.0`
+	else if (!COMPLETE_MODES.includes(grammar.mode)) suffix = "0"
+
+	for (const container of [...grammar.stack].reverse())
+		suffix += container === "[" ? "]" : "}"
+
+	return { length, suffix }
+}
+
+/**
+ * @description            Maps an index in a reformatted string back to the
+ *                         misformatted string it was reformatted from. An
+ *                         index inside of replaced text maps to the start of
+ *                         the original text, or to the same character when
+ *                         the original and replacement have equal lengths.
+ *
+ * @param    {Edit[]}      edits The edits of the candidate, in order.
+ *
+ * @param    {Number}      index The index in the reformatted string.
+ *
+ * @returns  {Number}      The index in the misformatted string.
+ */
+function sourceOffset(edits, index) {
+	/**
+	 * @type   {Number}      The index in the misformatted string so far.
+	 */
+	let sourceIndex = 0
+
+	/**
+	 * @type   {Number}      The index in the reformatted string so far.
+	 */
+	let outputIndex = 0
+
+	for (const { stringIndex, original, replacement } of edits) {
+		// inside of the unchanged text before the edit
+		if (index < outputIndex + stringIndex - sourceIndex)
+			return sourceIndex + index - outputIndex
+
+		outputIndex += stringIndex - sourceIndex
+		sourceIndex = stringIndex
+
+		// inside of the replacement text of the edit
+		if (index < outputIndex + replacement.length)
+			return original.length === replacement.length
+				? sourceIndex + index - outputIndex
+				: sourceIndex
+
+		outputIndex += replacement.length
+		sourceIndex += original.length
+	}
+
+	// inside of the unchanged text after every edit
+	return sourceIndex + index - outputIndex
+}
+
+/**
+ * @description            Finds the index of a `JSON.parse` error. Uses the
+ *                         position in the error message when there is one,
+ *                         otherwise searches for the longest prefix that is
+ *                         still the start of valid JSON.
+ *
+ * @param    {String}      string The string that did not parse.
+ *
+ * @param    {Error}       error The error thrown by `JSON.parse`.
+ *
+ * @returns  {Number}      The index of the error in the string.
+ */
+function parseErrorIndex(string, error) {
+	const position = /at position (\d+)/.exec(error.message)
+
+	if (position) return Number(position[1])
+
+	// running out of input is an error at the end of the string
+	if (/end of (JSON )?input/i.test(error.message)) return string.length
+
+	/**
+	 * @type   {Number}      The length of the longest known valid prefix.
+	 */
+	let low = 0
+
+	/**
+	 * @type   {Number}      The length of the shortest known invalid prefix.
+	 */
+	let high = string.length
+
+	// a valid prefix only fails at its end, an invalid prefix fails before it
+	while (low < high) {
+		const length = Math.ceil((low + high) / 2)
+
+		try {
+			JSON.parse(string.slice(0, length))
+			low = length
+		} catch (prefixError) {
+			if (
+				/end of (JSON )?input/i.test(prefixError.message) ||
+				Number(/at position (\d+)/.exec(prefixError.message)?.[1]) >= length
+			)
+				low = length
+			else high = length - 1
+		}
+	}
+
+	return low
+}
+
+/**
+ * @description            Finds the line and column of an index in a string.
+ *
+ * @param    {String}      string The string to find the index in.
+ *
+ * @param    {Number}      index The index in the string.
+ *
+ * @returns  {Object}      The `line` and UTF-32 character `column` of the
+ *                         index, both starting at 1.
+ */
+function lineColumn(string, index) {
+	const lines = string.slice(0, index).split("\n")
+
+	return { line: lines.length, column: [...lines.at(-1)].length + 1 }
+}
+
+/**
+ * @description            Finds the likely reason a guess did not parse, from
+ *                         the state it ended in.
+ *
+ * @param    {Guess}       guess The parser guess that did not parse.
+ *
+ * @returns  {FailureCause} The likely reason the guess did not parse.
+ */
+function failureCause({ isString, containers }) {
+	if (isString) return "unterminatedString"
+
+	// the innermost container is the one missing its closing delimiter
+	if (containers.at(-1) === "[") return "unbalancedArray"
+
+	if (containers.at(-1) === "{") return "unbalancedObject"
+
+	return "invalidJSON"
+}
+
+/**
+ * @description            Finds the JSON type the parser continues parsing
+ *                         inside of the innermost open container.
+ *
+ * @param    {String}      containers The stack of open arrays and objects.
+ *
+ * @returns  {JSONType}    The JSON type being parsed, `undefined` outside of
+ *                         every container.
+ */
+function containerType(containers) {
+	const container = containers.at(-1)
+
+	if (container === "[") return "array"
+
+	if (container === "{") return "object-value"
+}
+
+/**
+ * @description            Checks whether two JSON values are deeply equal.
+ *
+ * @param    {*}           a The first JSON value.
+ *
+ * @param    {*}           b The second JSON value.
+ *
+ * @returns  {Boolean}     Whether the values are deeply equal.
+ */
+function jsonEqual(a, b) {
+	if (a === b) return true
+
+	if (
+		typeof a !== "object" ||
+		typeof b !== "object" ||
+		a === null ||
+		b === null ||
+		Array.isArray(a) !== Array.isArray(b)
+	)
+		return false
+
+	const keys = Object.keys(a)
+
+	return (
+		keys.length === Object.keys(b).length &&
+		keys.every(key => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]))
+	)
+}
+
+/**
+ * @description            Checks whether a JSON value is of a JSON Schema
+ *                         type.
+ *
+ * @param    {*}           value The JSON value.
+ *
+ * @param    {String}      type The JSON Schema type name.
+ *
+ * @returns  {Boolean}     Whether the value is of the type.
+ */
+function isSchemaType(value, type) {
+	switch (type) {
+		case "null":
+			return value === null
+		case "array":
+			return Array.isArray(value)
+		case "object":
+			return (
+				typeof value === "object" && value !== null && !Array.isArray(value)
+			)
+		case "integer":
+			return Number.isInteger(value)
+		default:
+			return typeof value === type
+	}
+}
+
+/**
+ * @description            Checks how well a JSON value fits a JSON Schema.
+ *
+ * @param    {*}           value The JSON value.
+ *
+ * @param    {(Object|Boolean)} [schema] The JSON Schema.
+ *
+ * @param    {String}      [path] The JSONPath of the value, for errors.
+ *
+ * @returns  {SchemaCheck} How well the value fits the schema.
+ */
+function checkSchema(value, schema = true, path = "$") {
+	/**
+	 * @type   {SchemaCheck} How well the value fits the schema so far.
+	 */
+	const check = { errors: [], matched: 0, unknown: 0 }
+
+	// add how well a part of the value fits a part of the schema
+	const add = ({ errors, matched, unknown }) => {
+		check.errors.push(...errors)
+		check.matched += matched
+		check.unknown += unknown
+	}
+
+	if (schema === true) return check
+
+	if (schema === false) {
+		check.errors.push(`${path} is not allowed`)
+		return check
+	}
+
+	if (schema.type !== undefined) {
+		const types = [].concat(schema.type)
+
+		// the rest of the schema can't apply to a value of the wrong type
+		if (!types.some(type => isSchemaType(value, type))) {
+			check.errors.push(`${path} should be ${types.join(" or ")}`)
+			return check
+		}
+	}
+
+	if ("const" in schema && !jsonEqual(value, schema.const))
+		check.errors.push(`${path} should be ${JSON.stringify(schema.const)}`)
+
+	if (schema.enum && !schema.enum.some(option => jsonEqual(value, option)))
+		check.errors.push(
+			`${path} should be one of ${schema.enum
+				.map(option => JSON.stringify(option))
+				.join(", ")}`
+		)
+
+	if (typeof value === "string") {
+		const { length } = [...value]
+
+		if (length < schema.minLength)
+			check.errors.push(
+				`${path} should be at least ${schema.minLength} characters`
+			)
+		if (length > schema.maxLength)
+			check.errors.push(
+				`${path} should be at most ${schema.maxLength} characters`
+			)
+		if (
+			schema.pattern !== undefined &&
+			!new RegExp(schema.pattern, "u").test(value)
+		)
+			check.errors.push(`${path} should match ${schema.pattern}`)
+	}
+
+	if (typeof value === "number") {
+		if (value < schema.minimum)
+			check.errors.push(`${path} should be at least ${schema.minimum}`)
+		if (value > schema.maximum)
+			check.errors.push(`${path} should be at most ${schema.maximum}`)
+		if (value <= schema.exclusiveMinimum)
+			check.errors.push(
+				`${path} should be more than ${schema.exclusiveMinimum}`
+			)
+		if (value >= schema.exclusiveMaximum)
+			check.errors.push(
+				`${path} should be less than ${schema.exclusiveMaximum}`
+			)
+	}
+
+	if (Array.isArray(value)) {
+		if (value.length < schema.minItems)
+			check.errors.push(`${path} should have at least ${schema.minItems} items`)
+		if (value.length > schema.maxItems)
+			check.errors.push(`${path} should have at most ${schema.maxItems} items`)
+
+		/**
+		 * @type {Array}     The schemas of the first items, for tuples.
+		 */
+		const prefixItems =
+			schema.prefixItems ?? (Array.isArray(schema.items) ? schema.items : [])
+
+		/**
+		 * @type {(Object|Boolean)} The schema of the rest of the items.
+		 */
+		const items = Array.isArray(schema.items)
+			? schema.additionalItems
+			: schema.items
+
+		value.forEach((item, index) =>
+			add(
+				checkSchema(
+					item,
+					index < prefixItems.length ? prefixItems[index] : items,
+					`${path}[${index}]`
+				)
+			)
+		)
+	}
+
+	if (isSchemaType(value, "object")) {
+		const { properties = {}, additionalProperties = true } = schema
+
+		for (const field of schema.required ?? [])
+			if (!Object.hasOwn(value, field))
+				check.errors.push(`${path} should have field ${JSON.stringify(field)}`)
+
+		for (const [field, fieldValue] of Object.entries(value)) {
+			const fieldPath = `${path}[${JSON.stringify(field)}]`
+
+			if (Object.hasOwn(properties, field)) {
+				check.matched++
+				add(checkSchema(fieldValue, properties[field], fieldPath))
+			} else {
+				if (schema.properties) check.unknown++
+				add(checkSchema(fieldValue, additionalProperties, fieldPath))
+			}
+		}
+	}
+
+	for (const subschema of schema.allOf ?? [])
+		add(checkSchema(value, subschema, path))
+
+	for (const keyword of ["anyOf", "oneOf"]) {
+		if (!schema[keyword]) continue
+
+		const checks = schema[keyword].map(subschema =>
+			checkSchema(value, subschema, path)
+		)
+
+		const valid = checks.filter(({ errors }) => !errors.length)
+
+		if (!valid.length)
+			check.errors.push(
+				`${path} should match one of the schemas: ${checks
+					.map(({ errors }) => errors.join(", "))
+					.join("; or ")}`
+			)
+		else if (keyword === "oneOf" && valid.length > 1)
+			check.errors.push(`${path} should match exactly one of the schemas`)
+		// fit the best fitting valid schema
+		else
+			add(
+				valid.reduce((best, check) =>
+					check.matched - check.unknown > best.matched - best.unknown
+						? check
+						: best
+				)
+			)
+	}
+
+	if (
+		schema.not !== undefined &&
+		!checkSchema(value, schema.not, path).errors.length
+	)
+		check.errors.push(`${path} should not match the schema`)
+
+	return check
+}
+
+/**
+ * @type     {String[]}    The JSON Schema type names.
+ */
+const SCHEMA_TYPES = [
+	"null",
+	"boolean",
+	"object",
+	"array",
+	"number",
+	"integer",
+	"string"
+]
+
+/**
+ * @description            Checks a JSON Schema only uses known type names,
+ *                         before any value is checked against it, and throws
+ *                         a `TypeError` if not.
+ *
+ * @param    {(Object|Boolean)} [schema] The JSON Schema.
+ */
+function assertSchemaTypes(schema) {
+	if (typeof schema !== "object" || schema === null) return
+
+	for (const type of [].concat(schema.type ?? []))
+		if (!SCHEMA_TYPES.includes(type))
+			throw new TypeError(
+				`Invalid schema type: ${JSON.stringify(
+					type
+				)}, expected one of ${SCHEMA_TYPES.join(", ")}`
+			)
+
+	for (const subschema of [
+		...Object.values(schema.properties ?? {}),
+		...[].concat(schema.items ?? []),
+		...(schema.prefixItems ?? []),
+		schema.additionalItems,
+		schema.additionalProperties,
+		...(schema.allOf ?? []),
+		...(schema.anyOf ?? []),
+		...(schema.oneOf ?? []),
+		schema.not
+	])
+		assertSchemaTypes(subschema)
+}
+
+/**
+ * @description            Finds the schema of an array item or object field,
+ *                         from the schema of the array or object.
+ *
+ * @param    {(Object|Boolean)} [schema] The schema of the array or object.
+ *
+ * @param    {(Number|String|null)} [field] The index of the array item, or
+ *                         the object field.
+ *
+ * @returns  {(Object|Boolean|undefined)} The schema of the item or field, or
+ *                         `undefined` if it can't be known before the array
+ *                         or object is complete, or the field isn't.
+ */
+function fieldSchema(schema, field) {
+	// which subschemas apply depends on the whole value
+	if (
+		typeof schema !== "object" ||
+		field === null ||
+		field === undefined ||
+		["allOf", "anyOf", "oneOf", "not"].some(
+			keyword => schema[keyword] !== undefined
+		)
+	)
+		return
+
+	if (typeof field === "number") {
+		const prefixItems =
+			schema.prefixItems ?? (Array.isArray(schema.items) ? schema.items : [])
+
+		if (field < prefixItems.length) return prefixItems[field]
+
+		return Array.isArray(schema.items) ? schema.additionalItems : schema.items
+	}
+
+	const { properties = {}, additionalProperties } = schema
+
+	return Object.hasOwn(properties, field)
+		? properties[field]
+		: additionalProperties
+}
+
+/**
+ * @type     {SchemaState} Where an empty string is in a JSON Schema.
+ */
+const SCHEMA_START = { frames: [], string: -1, isEscaped: false, path: "[]" }
+
+/**
+ * @description            Checks more of a valid start of a JSON string
+ *                         against a JSON Schema, continuing from where the
+ *                         text before it ended. Every string, and every
+ *                         array and object, is checked as soon as it is
+ *                         complete, if its schema is known by then.
+ *
+ * @param    {SchemaState} state Where the text before it ended.
+ *
+ * @param    {String}      string The valid start of a JSON string.
+ *
+ * @param    {Number}      from The index the text to check starts at.
+ *
+ * @param    {(Object|Boolean)} schema The JSON Schema.
+ *
+ * @param    {Number}      since The index before which the string can be
+ *                         reformatted differently by the guesses merged into
+ *                         this one, so what started before it isn't checked.
+ *
+ * @returns  {(SchemaState|SchemaCheck)} Where the text ended, or why a
+ *                         complete value in it does not validate.
+ */
+function advanceSchema(state, string, from, schema, since) {
+	let { frames, string: stringStart, isEscaped } = state
+
+	// the schema of the value starting now, in the innermost array or object
+	const valueSchema = () => {
+		const frame = frames.at(-1)
+
+		return frame ? fieldSchema(frame.schema, frame.field) : schema
+	}
+
+	// the JSONPath of the value starting now, for errors
+	const valuePath = () => {
+		const frame = frames.at(-1)
+
+		if (!frame) return "$"
+
+		return `${frame.path}[${JSON.stringify(frame.field)}]`
+	}
+
+	// continue the innermost array or object
+	const setField = field => {
+		frames = [...frames.slice(0, -1), { ...frames.at(-1), field }]
+	}
+
+	// the complete value, checked if it's known to be reformatted this way
+	const checkValue = (start, end, valueSchema, path) => {
+		if (start < since || valueSchema === undefined) return
+
+		const check = checkSchema(
+			JSON.parse(string.slice(start, end)),
+			valueSchema,
+			path
+		)
+
+		if (check.errors.length) return check
+	}
+
+	for (let index = from; index < string.length; index++) {
+		const character = string[index]
+
+		if (stringStart !== -1) {
+			if (isEscaped) isEscaped = false
+			else if (character === "\\") isEscaped = true
+			else if (character === '"') {
+				const frame = frames.at(-1)
+
+				// an object field is complete
+				if (frame?.field === undefined && frame?.isObject) {
+					const field =
+						stringStart < since
+							? null
+							: JSON.parse(string.slice(stringStart, index + 1))
+
+					setField(field)
+
+					// a field the schema does not allow
+					if (field !== null && fieldSchema(frame.schema, field) === false)
+						return checkSchema(undefined, false, valuePath())
+				} else {
+					const check = checkValue(
+						stringStart,
+						index + 1,
+						valueSchema(),
+						valuePath()
+					)
+
+					if (check) return check
+				}
+
+				stringStart = -1
+			}
+
+			continue
+		}
+
+		switch (character) {
+			case '"':
+				stringStart = index
+				break
+			case "[":
+			case "{":
+				frames = [
+					...frames,
+					{
+						start: index,
+						schema: valueSchema(),
+						path: valuePath(),
+						isObject: character === "{",
+						field: character === "[" ? 0 : undefined
+					}
+				]
+				break
+			case "]":
+			case "}": {
+				const { start, schema, path } = frames.at(-1)
+
+				frames = frames.slice(0, -1)
+
+				const check = checkValue(start, index + 1, schema, path)
+
+				if (check) return check
+				break
+			}
+			case ",": {
+				const { isObject, field } = frames.at(-1)
+
+				setField(isObject ? undefined : field + 1)
+			}
+		}
+	}
+
+	return {
+		frames,
+		string: stringStart,
+		isEscaped,
+		// only the fields and tuple items the schemas of the values in them
+		// depend on
+		path: JSON.stringify(
+			frames.map(({ schema, isObject, field }) =>
+				fieldSchema(schema, field) === undefined ||
+				(!isObject &&
+					fieldSchema(schema, field) === fieldSchema(schema, Infinity))
+					? "*"
+					: field
+			)
+		)
+	}
+}
+
+/**
+ * @description            Converts a simpler description of the JSON into a
+ *                         JSON Schema.
+ *
+ * @param    {SchemaShape} shape The simpler description of the JSON.
+ *
+ * @returns  {Object}      The JSON Schema.
+ */
+function shapeToSchema(shape) {
+	if (typeof shape === "string") {
+		const types = shape.split("|").map(type => type.trim())
+
+		if (types.includes("any")) return {}
+
+		return { type: types.length === 1 ? types[0] : types }
+	}
+
+	if (Array.isArray(shape))
+		return { type: "array", items: shapeToSchema(shape[0] ?? "any") }
+
+	if (typeof shape === "object" && shape !== null) {
+		const properties = {}
+		const required = []
+
+		for (const [key, fieldShape] of Object.entries(shape)) {
+			// a field name ending in `?` is optional
+			const field = key.endsWith("?") ? key.slice(0, -1) : key
+
+			properties[field] = shapeToSchema(fieldShape)
+			if (field === key) required.push(field)
+		}
+
+		return { type: "object", properties, required, additionalProperties: false }
+	}
+
+	throw new TypeError(`Invalid shape: ${JSON.stringify(shape)}`)
+}
+
+/**
+ * @description            Reformats a misformatted JSON string to valid JSON.
+ *
+ *                         **NOTE:** Unescaped double-quotes inside of
+ *                         single-quoted strings are escaped, like: `\"`. As
+ *                         are double-quotes an `opts.heuristic` function
+ *                         replaces a single-quote with, without ending the
+ *                         string.
+ *
+ *                         **NOTE:** Strings already delimited by
+ *                         double-quotes are kept as they are, and
+ *                         single-quotes inside of them are literal, like in
+ *                         partially fixed JSON: `{"note": "it's"}`.
+ *
+ *                         **NOTE:** Guesses are dropped as soon as their
+ *                         reformatted string can no longer become valid JSON,
+ *                         no matter how the rest of the string is reformatted.
+ *
+ *                         **NOTE:** this is _**NOT**_ designed for
+ *                         performance or large JSON strings. This can have
+ *                         `O(2^n)` time-complexity!
+ *
+ * @param    {String}      misformattedJSON The string that is invalidly
+ *                         formatted for JSON by using single-quotes (`'`)
+ *                         instead of double-qutoes (`"`) to delimit string
+ *                         values and object fields.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings.
+ *
+ * @param    {Heuristic}   [opts.heuristic] A function that takes a reference
+ *                         the parser state information, and modifies the
+ *                         parser guess state using the given reference. This
+ *                         allows for much more complex logic.
+ *
+ *                         Example:
+ *
+ *                         Situations where the single-quote (`'`) needs to be
+ *                         replaced by an escaped double-quote (`\\"`).
+ *
+ * @param    {BruteForce}  [opts.bruteForce] A function that takes information
+ *                         about the current position of the single-quote in
+ *                         the misformatted string the parser found. And
+ *                         returns a boolean whether the parser will use
+ *                         brute-force parsing, with time-complexity `O(2^n)`.
+ *
+ * @param    {Boolean}     [opts.tryHard] A flag to brute-force with default,
+ *                         heuristics, with time-complexity at around:
+ *                         `O(2^n)`. Can be better than a `bruteForce`, but
+ *                         still not reccommended, use `heuristic` if possible.
+ *                         Of the candidates, only the ones that kept the
+ *                         fewest single-quotes with nothing but JSON
+ *                         delimiters between them and another single-quote,
+ *                         like in `':'`, are returned.
+ *
+ * @param    {Boolean}     [opts.pickBest] A flag to only return the highest
+ *                         scoring candidate, instead of every candidate.
+ *
+ * @param    {ParseMode}   [opts.mode] The dialect of the misformatted string.
+ *                         `"python"` also rewrites `True`, `False`, `None`,
+ *                         `inf`, `nan`, numeric and literal dict keys,
+ *                         tuples, trailing commas, `u''` and `b''` string
+ *                         prefixes, Python escape sequences, and strings
+ *                         delimited by double-quotes because they contain a
+ *                         single-quote.
+ *                         `"json5"` also quotes object field identifiers and
+ *                         numeric keys, and rewrites comments, trailing
+ *                         commas, double-quoted strings, and number literals
+ *                         that are not valid JSON.
+ *
+ * @param    {("null"|"reject")} [opts.nonFiniteNumbers] How the `"json5"`
+ *                         mode converts `Infinity` and `NaN`, and the
+ *                         `"python"` mode `inf` and `nan`, which JSON can't
+ *                         express. `"null"`, like `JSON.stringify`, or
+ *                         `"reject"` to fail parsing.
+ *
+ * @param    {Number}      [opts.maxGuesses] The most guesses the parser keeps
+ *                         at once. When there are more after a single-quote,
+ *                         only the highest scoring guesses are kept.
+ *
+ * @param    {Number}      [opts.maxBranches] The most guesses the parser
+ *                         creates in total. After this, the search stops
+ *                         growing: each single-quote only keeps as many of
+ *                         the highest scoring guesses as there were when it
+ *                         was reached, once the guesses of the last
+ *                         single-quote that broke the JSON grammar are gone.
+ *
+ * @param    {Number}      [opts.timeLimit] The most milliseconds the parser
+ *                         searches for. After this, the rest of the string is
+ *                         reformatted greedily: each single-quote only keeps
+ *                         the highest scoring guess, once the guesses of the
+ *                         last single-quote that broke the JSON grammar are
+ *                         gone. And no more reformatted strings are checked
+ *                         once one is valid JSON.
+ *
+ * @param    {AbortSignal} [opts.signal] A signal to stop the search. After
+ *                         it aborts, like after `opts.timeLimit`.
+ *
+ * @param    {Number}      [opts.maxCandidates] The most reformatted strings
+ *                         the parser reconstructs from merged guesses to
+ *                         check as valid JSON.
+ *
+ * @param    {Object}      [opts.schema] A JSON Schema every candidate must
+ *                         validate against. Candidates that don't validate
+ *                         are dropped, and the rest score higher for every
+ *                         object field the schema declares, and lower for
+ *                         every field it doesn't. Supports the `type`,
+ *                         `enum`, `const`, string, number, array, and object
+ *                         keywords, and `allOf`, `anyOf`, `oneOf`, and `not`.
+ *                         While parsing, guesses are dropped as soon as an
+ *                         object field the schema doesn't allow, or a string,
+ *                         array, or object that doesn't validate, is
+ *                         complete. Only where the schema of the value is
+ *                         known from the fields and items around it, not
+ *                         inside of `allOf`, `anyOf`, `oneOf`, or `not`.
+ *
+ * @param    {SchemaShape} [opts.shape] A simpler description of the JSON
+ *                         than `opts.schema`, used instead of it. Can't be
+ *                         given with `opts.schema`.
+ *
+ * @param    {function(ParserEvent): void} [opts.onEvent] A function called
+ *                         with every parser event, as it happens, to see why
+ *                         the parser made a choice. Use `createTrace` to
+ *                         record the events as a guess tree.
+ *
+ * @param    {Boolean}     [opts.completeTruncated] A flag to complete input
+ *                         that was cut off, like by a log line limit, when no
+ *                         guess parses as it is. Every guess closes its open
+ *                         string, drops a dangling object field, colon, or
+ *                         comma, and closes its open arrays and objects,
+ *                         innermost first. The candidates are marked as
+ *                         `Candidate.completed`, with the edit that
+ *                         completed them last in `Candidate.edits`.
+ *
+ * @param    {Boolean}     [opts.doubledQuotes] A flag for the quoting of SQL
+ *                         and CSV exports, that read two single-quotes (`''`)
+ *                         inside of a string as one literal apostrophe, like
+ *                         `'Bob O''Rielly'`. The default heuristics keep one
+ *                         apostrophe for the pair, instead of deciding whether
+ *                         the first single-quote ends the string. With
+ *                         `opts.tryHard`, ending the string is still guessed.
+ *
+ * @param    {String}      [opts.quotes] The characters, besides the
+ *                         single-quote (`'`), that can delimit strings, like
+ *                         the smart-quotes of text pasted from word
+ *                         processors and chat apps. They are replaced by a
+ *                         double-quote where the structure calls for a string
+ *                         delimiter, and kept as literal text inside of
+ *                         strings, the same as single-quotes. A string only
+ *                         ends on the quote that started it, or its closing
+ *                         pair (`‘’` and `“”`), other quotes are literal
+ *                         inside of it. Add the prime marks (`′″`) or
+ *                         backticks (`` ` ``) when they delimit strings too,
+ *                         or set to `""` for only single-quotes.
+ *                         Default: `"‘’“”"`.
+ *
+ * @param    {Resolve}     [opts.resolve] A function called at every
+ *                         single-quote inside of a string where the default
+ *                         heuristics find that both it, and a following
+ *                         single-quote, could end the string. Not at the
+ *                         single-quotes the default heuristics decide, even
+ *                         with `opts.tryHard`. Its choice is the only guess
+ *                         made for the single-quote, instead of one for each. Called once for every guess that
+ *                         reaches the single-quote. Use `preParseAsync` for a
+ *                         function that returns a promise, like a prompt.
+ *
+ * @returns  {ParseResult} The outcome of the parser, with every reformatted
+ *                         string that parsed as valid JSON.
+ */
+function preParse(misformattedJSON, opts = {}) {
+	/**
+	 * @type   {Generator<StringPosition, ParseResult, (QuoteChoice|undefined)>}
+	 *                       The parser, paused at every ambiguous single-quote.
+	 */
+	const steps = parseSteps(misformattedJSON, opts)
+
+	for (let step = steps.next(); ; ) {
+		if (step.done) return step.value
+
+		/**
+		 * @type {(QuoteChoice|undefined)} How `opts.resolve` decided it.
+		 */
+		const choice = opts.resolve(step.value)
+
+		if (typeof choice?.then === "function")
+			throw new TypeError(
+				"`opts.resolve` returned a promise, use `preParseAsync` instead of `preParse`"
+			)
+
+		step = steps.next(choice)
+	}
+}
+
+/**
+ * @description            The parser of `preParse` and `preParseAsync`, that
+ *                         yields every ambiguous single-quote for
+ *                         `opts.resolve` to decide, and continues with the
+ *                         choice it's given back.
+ *
+ * @param    {String}      misformattedJSON The misformatted JSON string.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings.
+ *
+ * @returns  {Generator<StringPosition, ParseResult, (QuoteChoice|undefined)>}
+ *                         The parser steps, that return the outcome.
+ */
+function* parseSteps(
+	misformattedJSON,
+	{
+		heuristic,
+		bruteForce,
+		tryHard: TRY_HARD = false,
+		pickBest = false,
+		mode = "json",
+		nonFiniteNumbers = "null",
+		maxGuesses = 1000,
+		maxBranches = Infinity,
+		timeLimit = Infinity,
+		signal,
+		maxCandidates = 1000,
+		shape,
+		schema: givenSchema,
+		onEvent,
+		completeTruncated = false,
+		doubledQuotes = false,
+		quotes = "‘’“”",
+		resolve
+	} = {}
+) {
+	/*
+  if (TRY_HARD)
+    console.warn(
+      "THIS HAS O(2^n) TIME COMPLEXITY, MAKE SURE YOU KNOW WHAT YOU'RE DOING..."
+    )
+  */
+
+	/**
+	 * @type   {String[]}    The characters reformatted like single-quotes.
+	 */
+	const quoteCharacters = ["'", ...quotes]
+
+	// JSON syntax can't be a quote, it would never be reformatted
+	for (const quote of quoteCharacters)
+		if (/[\s"\\[\]{}:,]/.test(quote))
+			throw new TypeError(`Invalid quote character: ${JSON.stringify(quote)}`)
+
+	// one of them would be ignored
+	if (givenSchema !== undefined && shape !== undefined)
+		throw new TypeError("Invalid options: give `schema` or `shape`, not both")
+
+	/**
+	 * @type   {(Object|Boolean|undefined)} The JSON Schema every candidate
+	 *                       must validate against.
+	 */
+	const schema = shape === undefined ? givenSchema : shapeToSchema(shape)
+
+	// an unknown type would reject every candidate, instead of failing here
+	assertSchemaTypes(schema)
+
+	/**
+	 * @type   {String}      What can be between a string and the delimiter
+	 *                       after it, as a RegExp. JSON5 also allows comments.
+	 */
+	const delimiterGap =
+		mode === "json5"
+			? String.raw`(?:\s|//[^\n]*|/\*[\s\S]*?\*/)*`
+			: String.raw`\s*`
+
+	/**
+	 * @type   {String}      What can't come after a comma that follows a
+	 *                       string, as a RegExp. A bare word after the comma is
+	 *                       a key, or a literal like `true`, so it's followed by
+	 *                       a delimiter, otherwise the comma is inside of the
+	 *                       string, like in `'Don't say 'hi', ok'`. The gap is
+	 *                       matched whole, so a comment isn't read as a word.
+	 */
+	const delimiterEnd = String.raw`(?!(?<=,)(?=(?<gap>${delimiterGap}))\k<gap>[A-Za-z_$][\w$]*(?![\w$])(?!${delimiterGap}[:,\]})]))`
+
+	/**
+	 * @type   {Guess[]}     Array to store all of the parser's possible
+	 *                       solutions. Holds strings of the parser guesses.
+	 *                       Used when strings are ambiguous because of
+	 *                       incorrect formatting, and brute-forcing. Is
+	 *                       appended to by recursive calls to `preParse`.
+	 */
+	let guesses = [
+		{
+			string: "",
+			isString: false,
+			isEscaped: false,
+			isDoubleQuoted: false,
+			openQuote: "",
+			containers: "",
+			isObjectField: false,
+			isObjectValue: false,
+			isJSONType: undefined,
+			aufoFilled: 0,
+			autoFills: 0,
+			quotesReplaced: 0,
+			quotesDelimited: 0,
+			quotesKept: 0,
+			quotesKeptDelimited: 0,
+			edits: undefined,
+			id: 0,
+			grammar: GRAMMAR_START,
+			grammarLength: 0,
+			schemaState: schema === undefined ? undefined : SCHEMA_START,
+			schemaPath: "",
+			prefix: {
+				node: undefined,
+				length: 0,
+				tally: tallyOf(),
+				edits: undefined
+			}
+		}
+	]
+
+	/**
+	 * @type   {String[]}    Fixed-width array to index each UTF-32 character.
+	 *                       JavaScript strings are indexed by UTF-16 code units,
+	 *                       which are 2 bytes (16 bits) in length, a single
+	 *                       UTF-32 character is 4 bytes (32 bits), the same as
+	 *                       a complete UTF-16 surrogate pair, (which is two
+	 *                       UTF-16 code units).
+	 */
+	let fixedWidthCharacterArray = []
+
+	// iteration over each UTF-32 code point to add to UTF-32 array
 	for (const UTF16CodePoint of misformattedJSON)
 		fixedWidthCharacterArray.push(UTF16CodePoint)
 
-	// loop over UTF-32 characters
-	for (
-		let characterIndex = 0, stringIndex = 0;
-		characterIndex < fixedWidthCharacterArray.length;
-		stringIndex += fixedWidthCharacterArray[characterIndex].length,
-			characterIndex++
-	) {
+	/**
+	 * @type   {Number}      The time in milliseconds to stop searching at.
+	 */
+	const deadline = Date.now() + timeLimit
+
+	/**
+	 * @type   {Number}      The total number of guesses created by forking.
+	 */
+	let branches = 0
+
+	/**
+	 * @type   {Truncation}  The first search limit that dropped guesses.
+	 */
+	let truncatedBy
+
+	/**
+	 * @type   {Truncation}  The search limit that stopped the search from
+	 *                       growing, once the time limit, the abort signal, or
+	 *                       `maxBranches` was reached.
+	 */
+	let stoppedBy
+
+	/**
+	 * @type   {Number}      The most guesses kept at each single-quote, after
+	 *                       the search stopped growing. Only the best one when
+	 *                       out of time, so the rest of the string takes about
+	 *                       as long as the default heuristics.
+	 */
+	let stoppedWidth
+
+	/**
+	 * @type   {Object[]}    Where the parser forked guesses, for diagnostics.
+	 */
+	const forks = []
+
+	/**
+	 * @type   {Object[]}    The last guesses dropped for breaking the JSON
+	 *                       grammar, for diagnostics.
+	 */
+	const dropped = []
+
+	/**
+	 * @type   {Number}      The most dropped guesses to keep for diagnostics.
+	 */
+	const maxDropped = 100
+
+	/**
+	 * @type   {Rejection[]} Every guess dropped for a string, array, or object
+	 *                       that did not validate, for diagnostics.
+	 */
+	const pruned = []
+
+	/**
+	 * @type   {Number}      The `Guess.id` of the next forked guess.
+	 */
+	let nextGuessId = 1
+
+	/**
+	 * @description          Adds a guess forked from another guess, before the
+	 *                       other guess reformats the single-quote.
+	 *
+	 * @param    {Guess}     parent The guess it forked from.
+	 *
+	 * @param    {ForkReason} reason Why it forked.
+	 *
+	 * @param    {QuotePosition} quote The single-quote it forked at.
+	 *
+	 * @param    {Guess}     guess The forked guess.
+	 */
+	const forkGuess = (
+		parent,
+		reason,
+		{ stringIndex, characterIndex },
+		guess
+	) => {
+		guess.id = nextGuessId++
+		guesses.push(guess)
+
+		onEvent?.({
+			type: "fork",
+			id: guess.id,
+			parent: parent.id,
+			reason,
+			stringIndex,
+			characterIndex,
+			string: guess.string.slice(parent.string.length)
+		})
+	}
+
+	/**
+	 * @description          Keeps only the highest scoring guesses, ties keep
+	 *                       the order the guesses were made in.
+	 *
+	 * @param    {Number}    width The most guesses to keep.
+	 *
+	 * @param    {Truncation} limit The search limit that dropped the guesses.
+	 *
+	 * @param    {Number}    stringIndex The index of the character the guesses
+	 *                       were dropped at.
+	 *
+	 * @param    {Number}    characterIndex The UTF-32 character pseudo-index of
+	 *                       the same character.
+	 */
+	const pruneGuesses = (width, limit, stringIndex, characterIndex) => {
+		/**
+		 * @type {Guess[]}     The guesses, highest scoring first.
+		 */
+		const ranked = guesses
+			.map((guess, index) => ({ guess, index, score: guessScore(guess) }))
+			.sort((a, b) => b.score - a.score || a.index - b.index)
+			.map(({ guess }) => guess)
+
+		guesses = ranked.slice(0, width)
+
+		for (const { id } of ranked.slice(width))
+			onEvent?.({
+				type: "prune",
+				id,
+				reason: limit,
+				stringIndex,
+				characterIndex
+			})
+
+		truncatedBy ??= limit
+	}
+
+	// loop over UTF-32 characters
+	for (
+		let characterIndex = 0, stringIndex = 0;
+		characterIndex < fixedWidthCharacterArray.length;
+		stringIndex += fixedWidthCharacterArray[characterIndex].length,
+			characterIndex++
+	) {
+		/**
+		 * @type {String}      Current UTF-32 code point in character array.
+		 */
+		const character = fixedWidthCharacterArray[characterIndex]
+
+		// keep only the highest scoring guesses of the last fork, after the
+		// guesses that broke the JSON grammar since were dropped
+		if (
+			stoppedBy &&
+			guesses.length > stoppedWidth &&
+			quoteCharacters.includes(character)
+		)
+			pruneGuesses(stoppedWidth, stoppedBy, stringIndex, characterIndex)
+
+		/**
+		 * @type {Number}      The number of guesses before this character.
+		 */
+		const guessCount = guesses.length
+
+		// loop over all guesses, and evaluate thier likelihood,
+		// reversing over array to add or remove guesses
+		// without changing the portion of the array being looped over
+		for (let guessIndex = guesses.length - 1; guessIndex >= 0; guessIndex--) {
+			/**
+			 * @type {Guess}     Parsers's guess of how to reformat JSON string. It
+			 *                   is set to the previous parser guess, with future
+			 *                   parser guesses appended to it. It also includes
+			 *                   state information used for the default heuristics.
+			 */
+			const currentGuess = guesses[guessIndex]
+
+			// check guess auto-fill
+			if (currentGuess.aufoFilled) {
+				// decrement number of pre-parsed characters,
+				// since one was just manually parsed
+				currentGuess.aufoFilled--
+
+				// guess already parsed this part of the string using a RegExp,
+				// loop to next guess
+				continue
+			}
+
+			const { isObjectField, isString, isJSONType } = currentGuess
+
+			/**
+			 * @type {String}    The substring _after_ the single-quote.
+			 */
+			const followingString = misformattedJSON.slice(stringIndex + 1)
+
+			/**
+			 * @type {String}    The substring _before_ the single-quote.
+			 */
+			const precedingString = misformattedJSON.slice(0, stringIndex)
+
+			// continue escape sequence, only for inside of a JSON string
+			if (isString && currentGuess.isEscaped) {
+				const { isEscaped } = currentGuess
+				const escape = continueEscape(isEscaped, character, mode)
+
+				// append the escape sequence rewritten to valid JSON, if finished
+				currentGuess.string += escape.string
+				currentGuess.isEscaped = escape.isEscaped
+
+				// record the rewrite of the whole escape sequence, once finished
+				if (!escape.isEscaped)
+					recordEdit(
+						currentGuess,
+						escape.consumed ? isEscaped + character : isEscaped,
+						escape.string,
+						stringIndex - isEscaped.length,
+						characterIndex - isEscaped.length
+					)
+
+				// escaped characters, including single-quotes, are never delimiters,
+				// otherwise the escape sequence ended before this character
+				if (escape.consumed) continue
+			}
+
+			// change parser state for delimiters
+			if (!quoteCharacters.includes(character)) {
+				// set escape sequence, only for inside of a JSON string
+				if (isString) {
+					// end of a double-quoted string
+					if (currentGuess.isDoubleQuoted && character === '"') {
+						currentGuess.string += character
+						currentGuess.isString = false
+						currentGuess.isDoubleQuoted = false
+						continue
+					}
+
+					// escape character found, the following characters are part of
+					// an escape sequence, that is appended once it is finished
+					if (character === "\\") currentGuess.isEscaped = character
+					// keep character, escaping it if JSON strings can't contain it
+					else {
+						currentGuess.string += jsonCharacter(character)
+						recordEdit(
+							currentGuess,
+							character,
+							jsonCharacter(character),
+							stringIndex,
+							characterIndex
+						)
+					}
+
+					// ignore delimiter characters inside of a JSON string,
+					// since they do not overlap with escape sequence
+					continue
+				}
+
+				// beginning of a string delimited by double-quotes, like in partially
+				// fixed JSON, or Python and JSON5, where single-quotes are literal
+				if (character === '"') {
+					currentGuess.string += character
+					currentGuess.isString = true
+					currentGuess.isDoubleQuoted = true
+					continue
+				}
+
+				/**
+				 * @type {DialectStep} How the dialect rewrites this character.
+				 */
+				const dialect = rewriteDialect(
+					character,
+					{ currentGuess, precedingString, followingString },
+					{ mode, nonFiniteNumbers }
+				)
+
+				/**
+				 * @type {String}    The valid JSON text for this character.
+				 */
+				const structure = dialect ? dialect.string : character
+
+				// keep character, or its dialect rewrite
+				currentGuess.string += structure
+
+				if (dialect) {
+					recordEdit(
+						currentGuess,
+						fixedWidthCharacterArray
+							.slice(characterIndex, characterIndex + dialect.skip + 1)
+							.join(""),
+						structure,
+						stringIndex,
+						characterIndex
+					)
+
+					// the dialect rewrite already included the following characters
+					currentGuess.aufoFilled = dialect.skip
+				}
+
+				// open an object, starting with a field
+				if (structure === "{") {
+					currentGuess.containers += structure
+					currentGuess.isObjectField = true
+					currentGuess.isObjectValue = false
+					currentGuess.isJSONType = "field"
+				}
+				// unset object field on delimiter and set in object value
+				else if (structure === ":") {
+					currentGuess.isObjectField = false
+					currentGuess.isObjectValue = true
+					currentGuess.isJSONType = "object-value"
+				}
+				// open an array
+				else if (structure === "[") {
+					currentGuess.containers += structure
+					currentGuess.isObjectField = false
+					currentGuess.isObjectValue = false
+					currentGuess.isJSONType = "array"
+				}
+				// close the innermost container, and continue parsing the container
+				// it is nested within, a mismatched delimiter can't close it
+				else if (
+					(structure === "}" && currentGuess.containers.at(-1) === "{") ||
+					(structure === "]" && currentGuess.containers.at(-1) === "[")
+				) {
+					currentGuess.containers = currentGuess.containers.slice(0, -1)
+					currentGuess.isJSONType = containerType(currentGuess.containers)
+
+					// a closed container is the value of an enclosing object
+					currentGuess.isObjectField = false
+					currentGuess.isObjectValue =
+						currentGuess.isJSONType === "object-value"
+				}
+				// only for objects, not arrays in objects, start the next field
+				else if (structure === "," && currentGuess.containers.at(-1) === "{") {
+					currentGuess.isObjectValue = false
+					currentGuess.isObjectField = true
+					currentGuess.isJSONType = "field"
+				}
+
+				// only attempt to reformat single-quotes
+				continue
+			}
+
+			// single-quotes are literal inside of a double-quoted string
+			if (isString && currentGuess.isDoubleQuoted) {
+				currentGuess.string += character
+				continue
+			}
+
+			// so are the quotes that can't end the string the guess is inside of,
+			// like a smart-quote inside of a single-quoted string
+			if (isString && !closesString(currentGuess.openQuote, character)) {
+				currentGuess.string += character
+				continue
+			}
+
+			/**
+			 * @type {QuotePosition} Where the single-quote is, and whether it is
+			 *                   next to a JSON delimiter.
+			 */
+			const quote = {
+				delimited: isDelimitedQuote(precedingString, followingString),
+				stringIndex,
+				characterIndex,
+				character
+			}
+
+			/**
+			 * @type {Number}    The length of the guess before reformatting the
+			 *                   single-quote, to find what a heuristic appended.
+			 */
+			const guessLength = currentGuess.string.length
+
+			// try all possible solutions by generating
+			// all possible solutions by brute-force
+			if (
+				bruteForce?.({
+					// make copy to prevent mutations
+					currentGuess: { ...currentGuess },
+					character,
+					followingString,
+					precedingString,
+					stringIndex,
+					characterIndex
+				})
+			) {
+				// create a new guess
+				forkGuess(
+					currentGuess,
+					"bruteForce",
+					quote,
+					tallyQuote(
+						{
+							...currentGuess,
+							// try to make a valid JSON string
+							// by keeping this single-quote,
+							string: currentGuess.string + character
+
+							// // possibly change these to allow for different heuristics
+							// isString: currentGuess.isString,
+							// isEscaped: currentGuess.isEscaped,
+							// containers: currentGuess.containers,
+							// isObjectField: currentGuess.isObjectField,
+							// isObjectValue: currentGuess.isObjectValue,
+						},
+						character,
+						quote
+					)
+				)
+
+				// try to make a valid JSON string
+				// by replacing this single-quote with a double-quote
+				//! must come after new guess creation
+				currentGuess.string += '"'
+				tallyQuote(currentGuess, '"', quote)
+
+				// a replaced single-quote is a string delimiter,
+				// so it starts or ends a JSON string
+				currentGuess.isString = !isString
+
+				// // possibly change these to allow for different heuristics
+				// currentGuess.isEscaped = currentGuess.isEscaped
+				// currentGuess.containers = currentGuess.containers
+				// currentGuess.isObjectField = currentGuess.isObjectField
+				// currentGuess.isObjectValue = currentGuess.isObjectValue
+			}
+			// use user given heuristics for for how to replace single-quote,
+			// or change guess parsing state
+			else if (
+				heuristic?.({
+					// give current parser guess and state info to heuristic
+					currentGuess,
+					character,
+					followingString,
+					precedingString,
+					stringIndex,
+					characterIndex
+				})
+			) {
+				/* `heuristic` modified object reference directly */
+
+				/**
+				 * @type {String} What the heuristic appended for the single-quote.
+				 */
+				let reformatted = currentGuess.string.slice(guessLength)
+
+				// replacing this single-quote with a double-quote without ending the
+				// string makes a literal double-quote, which needs escaping
+				if (isString && currentGuess.isString && reformatted === '"') {
+					reformatted = '\\"'
+					currentGuess.string =
+						currentGuess.string.slice(0, guessLength) + reformatted
+				}
+
+				// count the heuristic decision, if it reformatted the single-quote
+				if (reformatted) tallyQuote(currentGuess, reformatted, quote)
+			}
+			// read a doubled single-quote inside of a string as one literal
+			// apostrophe, like SQL and CSV exports write them
+			else if (
+				isString &&
+				doubledQuotes &&
+				followingString.startsWith(character)
+			) {
+				// WORSE time-complexity mode, custom heuristics but with brute-force,
+				// this guess will replace the single-quote and end the string
+				if (TRY_HARD)
+					forkGuess(
+						currentGuess,
+						"tryHard",
+						quote,
+						tallyQuote(
+							{
+								...currentGuess,
+								isString: false, // end string
+								string: currentGuess.string + '"'
+							},
+							'"',
+							quote
+						)
+					)
+
+				// keep one single-quote for both
+				currentGuess.string += character
+				recordEdit(
+					currentGuess,
+					character + character,
+					character,
+					stringIndex,
+					characterIndex
+				)
+				tallyQuote(currentGuess, character, quote)
+
+				// the doubled single-quote was already parsed
+				currentGuess.aufoFilled = 1
+			}
+			// use default heuristics
+			else if (isString) {
+				/**
+				 * @type {String}   JSON object, value, or array ending delimiters.
+				 */
+				let possibleDelimiters = ""
+
+				// add contextual delimiters for use in heuristics
+
+				// delimiter for ending an array,
+				if (isJSONType === "array")
+					possibleDelimiters = mode === "python" ? ",\\])" : ",\\]"
+				// delimiter for ending an object,
+				else if (isJSONType === "object-value") possibleDelimiters = ",}"
+				// delimiter for ending an object field
+				else if (isJSONType === "field" || isObjectField)
+					possibleDelimiters = ":"
+
+				/**
+				 * @type {Boolean} This single-quote is followed by a JSON type
+				 *                 delimiter, and likely should be a double-quote.
+				 */
+				const heuristicDelimiterFollowing =
+					!!possibleDelimiters &&
+					new RegExp(
+						String.raw`^${delimiterGap}[${possibleDelimiters}]${delimiterEnd}`
+					).test(followingString)
+
+				/**
+				 * @type {String}  The quotes that can end this string, escaped for
+				 *                 a RegExp character class.
+				 */
+				const closingClass = [
+					currentGuess.openQuote,
+					QUOTE_PAIRS[currentGuess.openQuote] ?? ""
+				]
+					.join("")
+					.replace(/[\\\]^-]/g, "\\$&")
+
+				/**
+				 * @type {RegExpExecArray|null} Finds a different possible solution,
+				 *                 when this single-quote isn't followed by a
+				 *                 delimiter. Anchored to the start of the
+				 *                 `followingString`, so it only finds the next quote
+				 *                 that can end the string, leaving the capturing
+				 *                 group with just the characters between the two.
+				 */
+				const heuristicFindValids = heuristicDelimiterFollowing
+					? null
+					: new RegExp(
+							String.raw`^((?:[^${closingClass}\\]|\\[^])*)([${closingClass}])${delimiterGap}[${possibleDelimiters}]${delimiterEnd}`,
+							"u"
+					  ).exec(followingString)
+
+				/**
+				 * @type {(String|"")} The RegExp validated string capturing group of
+				 *                 just the characters before the single-quote to
+				 *                 replace in the RexExp auto-filled guess. Skip if
+				 *                 empty string, or capturing group is empty string.
+				 */
+				const regexpCapturingGroup = heuristicFindValids
+					? heuristicFindValids[1]
+					: ""
+
+				/**
+				 * @type {(QuoteChoice|undefined)} How `opts.resolve` decided this
+				 *                 ambiguous single-quote, if it did.
+				 */
+				const choice =
+					// only ask where the default heuristics can't decide, not at the
+					// single-quotes `opts.tryHard` also guesses the other way
+					regexpCapturingGroup && resolve
+						? yield {
+								// make copy to prevent mutations
+								currentGuess: { ...currentGuess },
+								character,
+								followingString,
+								precedingString,
+								stringIndex,
+								characterIndex,
+								choices: QUOTE_CHOICES
+						  }
+						: undefined
+
+				if (choice !== undefined && !Object.hasOwn(QUOTE_CHOICES, choice))
+					throw new TypeError(`Invalid quote choice: ${JSON.stringify(choice)}`)
+
+				// the ambiguous single-quote was decided, so only make that guess
+				if (choice) {
+					/**
+					 * @type {String} What the choice appends for the single-quote.
+					 */
+					const reformatted =
+						choice === "end" ? '"' : choice === "keep" ? character : '\\"'
+
+					currentGuess.string += reformatted
+					tallyQuote(currentGuess, reformatted, quote)
+
+					// only an unescaped double-quote ends the string
+					currentGuess.isString = choice !== "end"
+				}
+				// both this single-quote and a following single-quote
+				// have potentially correct resolutions, making the solution ambiguous,
+				// so create a new guess to try both solutions
+				else if (regexpCapturingGroup) {
+					// only the following single-quote RegExp heuristic passed,
+					// which likely means this is a string character that should be kept,
+					// so use RegEpx auto-fill solution
+
+					// this guess will replace the single-quote and end the string
+					forkGuess(
+						currentGuess,
+						"regexp",
+						quote,
+						tallyQuote(
+							{
+								...currentGuess,
+								isString: false,
+								string: currentGuess.string + '"'
+							},
+							'"',
+							quote
+						)
+					)
+
+					if (TRY_HARD)
+						forkGuess(
+							currentGuess,
+							"tryHard",
+							quote,
+							tallyQuote(
+								{
+									...currentGuess,
+									isString: true, // stay string
+									string: currentGuess.string + character
+								},
+								character,
+								quote
+							)
+						)
+
+					/**
+					 * @type {String} The RegExp validated string capturing group,
+					 *                with its escape sequences rewritten.
+					 */
+					const autoFill = escapeString(
+						regexpCapturingGroup,
+						mode,
+						(original, replacement, index, pseudoIndex) =>
+							recordEdit(
+								currentGuess,
+								original,
+								replacement,
+								stringIndex + 1 + index,
+								characterIndex + 1 + pseudoIndex
+							)
+					)
+
+					// keep single-quote and use RegExp solution of all characters before
+					// single-quote from RegExp search that needs to be replaced
+					currentGuess.string += character + autoFill + '"'
+
+					// the number of UTF-32 characters of the entire RegExp guess string
+					// including ending double-quote, like the main loop counts them
+					currentGuess.aufoFilled = [...regexpCapturingGroup].length + 1
+					currentGuess.autoFills++
+
+					onEvent?.({
+						type: "autoFill",
+						id: currentGuess.id,
+						stringIndex,
+						characterIndex,
+						string: character + autoFill + '"'
+					})
+
+					// kept this single-quote, and replaced the auto-filled single-quote,
+					// which the RegExp found followed by a delimiter
+					tallyQuote(currentGuess, character, quote)
+					tallyQuote(currentGuess, '"', {
+						delimited: true,
+						stringIndex: stringIndex + 1 + regexpCapturingGroup.length,
+						characterIndex:
+							characterIndex + 1 + [...regexpCapturingGroup].length,
+						character: heuristicFindValids[2]
+					})
+
+					// ended string with double-quote
+					currentGuess.isString = false
+				}
+
+				// only the current single-quote RegExp heuristic passed,
+				// which likely means this is a misformatted string delimiter
+				else if (heuristicDelimiterFollowing) {
+					// WORSE time-complexity mode, custom heuristics but with brute-force,
+					// this guess will keep the single-quote inside of the string
+					if (TRY_HARD)
+						forkGuess(
+							currentGuess,
+							"tryHard",
+							quote,
+							tallyQuote(
+								{
+									...currentGuess,
+									isString: true, // stay string
+									string: currentGuess.string + character
+								},
+								character,
+								quote
+							)
+						)
+
+					// replace current misformatted single-quote with a double-quote
+					currentGuess.string += '"'
+					tallyQuote(currentGuess, '"', quote)
+
+					// ended string with double-quote
+					currentGuess.isString = false
+				}
+
+				// neither RegExp heuristic passed,
+				// which likely means this is a string character that should be kept
+				else {
+					// WORSE time-complexity mode, custom heuristics but with brute-force,
+					// this guess will replace the single-quote and end the string
+					if (TRY_HARD)
+						forkGuess(
+							currentGuess,
+							"tryHard",
+							quote,
+							tallyQuote(
+								{
+									...currentGuess,
+									isString: false, // end string
+									string: currentGuess.string + '"'
+								},
+								'"',
+								quote
+							)
+						)
+
+					// keep single-quote
+					currentGuess.string += character
+					tallyQuote(currentGuess, character, quote)
+				}
+			}
+			// beginning of a JSON string, reformat single-quote
+			else {
+				// replace single-quote with double-quote
+				currentGuess.string += '"'
+				tallyQuote(currentGuess, '"', quote)
+
+				// parser now looking for ending single-quote that needs reformatting
+				currentGuess.isString = true
+			}
+		}
+
+		// remember the quote each string started with, to know what ends it
+		if (quoteCharacters.includes(character))
+			for (const guess of guesses)
+				if (!guess.isString || guess.isDoubleQuoted) guess.openQuote = ""
+				else guess.openQuote ||= character
+
+		// count the guesses forked for this character
+		branches += guesses.length - guessCount
+
+		if (guesses.length > guessCount)
+			forks.push({
+				character,
+				stringIndex,
+				characterIndex,
+				branches: guesses.length - guessCount
+			})
+
+		// drop guesses that can no longer become valid JSON, no matter how the
+		// rest of the string is reformatted
+		guesses = guesses.filter(guess => {
+			const grammar = advanceGrammar(
+				guess.grammar,
+				guess.string.slice(guess.grammarLength),
+				guess.grammarLength
+			)
+
+			if (grammar.error !== undefined) {
+				dropped.push({ guess, grammar })
+				if (dropped.length > maxDropped) dropped.shift()
+
+				onEvent?.({
+					type: "reject",
+					id: guess.id,
+					reason: "invalidPrefix",
+					string: guess.string,
+					errors: [grammar.message]
+				})
+
+				return false
+			}
+
+			// a string, array, or object in the guess string is complete, but is
+			// not the JSON asked for
+			if (schema !== undefined) {
+				const schemaState = advanceSchema(
+					guess.schemaState,
+					guess.string,
+					guess.grammarLength,
+					schema,
+					guess.prefix.length
+				)
+
+				if (schemaState.errors) {
+					pruned.push({ string: guess.string, errors: schemaState.errors })
+
+					onEvent?.({
+						type: "reject",
+						id: guess.id,
+						reason: "schema",
+						string: guess.string,
+						errors: schemaState.errors
+					})
+
+					return false
+				}
+
+				guess.schemaState = schemaState
+				guess.schemaPath = schemaState.path
+			}
+
+			guess.grammar = grammar
+			guess.grammarLength = guess.string.length
+			return true
+		})
+
+		// every guess broke the JSON grammar
+		if (!guesses.length) break
+
+		// merge guesses that will parse the rest of the string the same way
+		guesses = mergeGuesses(
+			guesses,
+			onEvent &&
+				((merged, guess) =>
+					onEvent({
+						type: "merge",
+						id: guess.id,
+						into: merged.id,
+						stringIndex,
+						characterIndex
+					}))
+		)
+
+		// stop the search from growing, out of time only the best guess is kept,
+		// but at the next single-quote, so the guesses forked at the last one
+		// had the chance to break the JSON grammar first
+		if (!stoppedBy) {
+			stoppedBy = signal?.aborted
+				? "aborted"
+				: Date.now() > deadline
+				? "timeLimit"
+				: branches > maxBranches
+				? "maxBranches"
+				: undefined
+
+			if (stoppedBy)
+				stoppedWidth =
+					stoppedBy === "maxBranches" ? Math.min(guessCount, maxGuesses) : 1
+		}
+
+		if (guesses.length > maxGuesses)
+			pruneGuesses(maxGuesses, "maxGuesses", stringIndex, characterIndex)
+	}
+
+	// try all parsing guesses to see if one works
+	/**
+	 * @type   {Candidate[]} Array of every valid JSON string reformatted.
+	 */
+	const successes = []
+
+	/**
+	 * @type   {Object[]}    Every reformatted string that did not parse.
+	 */
+	const failures = []
+
+	/**
+	 * @type   {Rejection[]} Every valid JSON string that did not validate.
+	 */
+	const rejected = []
+
+	// check the highest scoring guesses first, in case there are too many
+	guesses.sort((a, b) => guessScore(b) - guessScore(a))
+
+	/**
+	 * @description          Checks every reformatted string of every guess, and
+	 *                       adds the valid JSON strings to the candidates.
+	 *
+	 * @param    {Boolean}   complete Whether to complete every reformatted
+	 *                       string from truncation first, and only check the
+	 *                       completed ones.
+	 */
+	const checkGuesses = complete => {
 		/**
-		 * @type {String}      Current UTF-32 code point in character array.
+		 * @type {Set<String>} Every reformatted string already checked.
 		 */
-		const character = fixedWidthCharacterArray[characterIndex]
+		const reconstructed = new Set()
 
-		// loop over all guesses, and evaluate thier likelihood,
-		// reversing over array to add or remove guesses
-		// without changing the portion of the array being looped over
-		for (let guessIndex = guesses.length - 1; guessIndex >= 0; guessIndex--) {
-			/**
-			 * @type {Guess}     Parsers's guess of how to reformat JSON string. It
-			 *                   is set to the previous parser guess, with future
-			 *                   parser guesses appended to it. It also includes
-			 *                   state information used for the default heuristics.
-			 */
-			const currentGuess = guesses[guessIndex]
+		reconstruction: for (const guess of guesses)
+			for (let reconstruction of reconstructGuess(guess)) {
+				if (complete) {
+					const completion = completeTruncation(reconstruction.string)
+
+					// already complete, or cut off where it can't be completed
+					if (!completion) continue
+
+					/**
+					 * @type {Number}  Where the completion starts in the
+					 *                 misformatted string.
+					 */
+					const stringIndex = sourceOffset(
+						reconstruction.edits,
+						completion.length
+					)
+
+					reconstruction = {
+						...reconstruction,
+						string:
+							reconstruction.string.slice(0, completion.length) +
+							completion.suffix,
+						edits: [
+							...reconstruction.edits.filter(
+								edit => edit.stringIndex < stringIndex
+							),
+							{
+								stringIndex,
+								characterIndex: [...misformattedJSON.slice(0, stringIndex)]
+									.length,
+								original: misformattedJSON.slice(stringIndex),
+								replacement: completion.suffix
+							}
+						]
+					}
+				}
+
+				// different prefixes can still reformat to the same string
+				if (reconstructed.has(reconstruction.string)) continue
+
+				if (reconstructed.size >= maxCandidates) {
+					truncatedBy ??= "maxCandidates"
+					break reconstruction
+				}
+
+				// out of time, keep the candidates of the highest scoring guesses
+				if (successes.length && (signal?.aborted || Date.now() > deadline)) {
+					truncatedBy ??= signal?.aborted ? "aborted" : "timeLimit"
+					break reconstruction
+				}
+
+				reconstructed.add(reconstruction.string)
+
+				/**
+				 * @type {*}         The parsed reformatted string.
+				 */
+				let value
+
+				try {
+					value = JSON.parse(reconstruction.string)
+				} catch (error) {
+					// guess was not valid JSON, keep why for diagnostics,
+					// and try the next one
+					failures.push({ reconstruction, error, guess })
+
+					onEvent?.({
+						type: "reject",
+						id: guess.id,
+						reason: "invalidJSON",
+						string: reconstruction.string,
+						errors: [error.message]
+					})
+
+					continue
+				}
+
+				/**
+				 * @type {Candidate} The scored valid JSON string.
+				 */
+				const candidate = {
+					...scoreGuess(reconstruction),
+					edits: reconstruction.edits,
+					value
+				}
+
+				if (complete) {
+					candidate.completed = true
+					candidate.reasons.push("completed from truncation")
+				}
+
+				if (schema !== undefined) {
+					const { errors, matched, unknown } = checkSchema(value, schema)
+
+					// valid JSON, but not the JSON asked for
+					if (errors.length) {
+						rejected.push({ string: candidate.string, errors })
+
+						onEvent?.({
+							type: "reject",
+							id: guess.id,
+							reason: "schema",
+							string: candidate.string,
+							errors
+						})
+
+						continue
+					}
+
+					candidate.score +=
+						matched * SCORE_WEIGHTS.schemaMatched +
+						unknown * SCORE_WEIGHTS.schemaUnknown
+
+					if (matched)
+						candidate.reasons.push(`matched ${matched} field(s) of the schema`)
+					if (unknown)
+						candidate.reasons.push(
+							`added ${unknown} field(s) the schema does not declare`
+						)
+				}
+
+				// reformatting guess parsed as valid JSON!
+				successes.push(candidate)
+
+				onEvent?.({
+					type: "accept",
+					id: guess.id,
+					string: candidate.string,
+					score: candidate.score
+				})
+			}
+	}
+
+	checkGuesses(false)
+
+	// no guess parsed as it is, so the input may have been cut off
+	if (completeTruncated && !successes.length && !rejected.length)
+		checkGuesses(true)
+
+	// rank best score first, ties keep the order the guesses were made in
+	successes.sort((a, b) => b.score - a.score)
+
+	// reformatted strings that only differ in formatting are the same answer,
+	// keep the highest scoring one
+	for (let index = successes.length - 1; index > 0; index--)
+		if (
+			successes
+				.slice(0, index)
+				.some(candidate => jsonEqual(candidate.value, successes[index].value))
+		)
+			successes.splice(index, 1)
+
+	// the extra guesses of `opts.tryHard` keep single-quotes the heuristics
+	// read as delimiters, keep the candidates that kept the fewest of them
+	// right next to another single-quote
+	if (TRY_HARD && successes.length > 1) {
+		const kept = successes.map(({ edits }) =>
+			countKeptDelimiterQuotes(misformattedJSON, edits, quoteCharacters)
+		)
+
+		const fewest = Math.min(...kept)
+
+		for (let index = successes.length - 1; index >= 0; index--)
+			if (kept[index] > fewest) successes.splice(index, 1)
+	}
+
+	const [best, runnerUp] = successes
+
+	/**
+	 * @type   {Object}      Whether, and why, the search was bounded.
+	 */
+	const search = { truncated: !!truncatedBy, truncatedBy }
+
+	// return all valid JSON string guesses
+	if (successes.length === 1)
+		return {
+			status: "definitive",
+			definitive: true,
+			candidates: successes,
+			best,
+			...search
+		}
+
+	if (successes.length > 1) {
+		// the best candidate outscored every other candidate
+		if (pickBest && best.score > runnerUp.score)
+			return {
+				status: "definitive",
+				definitive: true,
+				candidates: [best],
+				best,
+				...search
+			}
+
+		return {
+			status: "ambiguous",
+			definitive: false,
+			candidates: pickBest ? [best] : successes,
+			best,
+			...search,
+			reason: pickBest
+				? "Parser found no definitive answer! Parser found ambiguous answers with the same best score! Try setting `opts.heuristic` or `opts.bruteForce`, they can get better parsing!"
+				: "Parser found no definitive answer! Parser found ambiguous answers! Try setting `opts.heuristic` or `opts.bruteForce`, they can get better parsing!"
+		}
+	}
+
+	/**
+	 * @type   {GuessError[]} The error of every reformatted string checked.
+	 */
+	const errors = [
+		...failures.map(({ reconstruction, error, guess }) => {
+			const index = parseErrorIndex(reconstruction.string, error)
+			const stringIndex = sourceOffset(reconstruction.edits, index)
+
+			return {
+				string: reconstruction.string,
+				message: error.message,
+				index,
+				stringIndex,
+				...lineColumn(misformattedJSON, stringIndex),
+				cause: failureCause(guess)
+			}
+		}),
+		...dropped
+			.map(({ guess, grammar }) => ({
+				guess,
+				grammar,
+				stringIndex: sourceOffset(listEdits(guess.edits), grammar.error)
+			}))
+			// the guesses that got furthest first, then the highest scoring ones,
+			// not the most trivially broken ones that were dropped first
+			.sort(
+				(a, b) =>
+					b.stringIndex - a.stringIndex ||
+					guessScore(b.guess) - guessScore(a.guess)
+			)
+			.map(({ guess, grammar, stringIndex }) => ({
+				string: guess.string,
+				message: grammar.message,
+				index: grammar.error,
+				stringIndex,
+				...lineColumn(misformattedJSON, stringIndex),
+				cause: "invalidJSON"
+			}))
+	]
+
+	/**
+	 * @type   {Object}      The number of guesses failed by each likely cause.
+	 */
+	const causes = {}
+
+	for (const { cause } of errors) causes[cause] = (causes[cause] ?? 0) + 1
+
+	/**
+	 * @type   {FailureCause} The most common likely cause, first seen on ties.
+	 */
+	const cause = Object.keys(causes).reduce(
+		(most, cause) => (causes[cause] > causes[most] ? cause : most),
+		errors[0]?.cause
+	)
+
+	const [firstError] = errors
+
+	/**
+	 * @type   {String}      Where the highest scoring guess failed, if any.
+	 */
+	const location = firstError
+		? ` The best guess failed at line ${firstError.line}, column ${firstError.column} (likely cause: ${firstError.cause}): ${firstError.message}.`
+		: ""
+
+	return {
+		status: "failed",
+		definitive: false,
+		candidates: successes,
+		...search,
+		reason:
+			(rejected.length
+				? `Parser found ${
+						rejected.length
+				  } valid JSON string(s), but none validated against the schema! The best one failed: ${rejected[0].errors.join(
+						", "
+				  )}.`
+				: pruned.length
+				? `Parser dropped ${
+						pruned.length
+				  } reformatting guess(es) with JSON that did not validate against the schema! The first one failed: ${pruned[0].errors.join(
+						", "
+				  )}.`
+				: "Parser Failed to parse any reformatting guess as a valid JSON string!" +
+				  location) +
+			" Try setting `opts.heuristic`, `opts.tryHard`, or `opts.bruteForce` (if necessary), they can get better parsing!",
+		diagnostics: {
+			cause,
+			errors,
+			rejected: [...rejected, ...pruned],
+			forks: forks.map(fork => ({
+				...fork,
+				...lineColumn(misformattedJSON, fork.stringIndex)
+			}))
+		}
+	}
+}
+
+/**
+ * @description            Quotes text as a Graphviz DOT string.
+ *
+ * @param    {String}      text The text to quote.
+ *
+ * @returns  {String}      The quoted DOT string, with escaped double-quotes,
+ *                         reverse solidi, and line breaks.
+ */
+function dotString(text) {
+	return `"${text.replace(/["\\]/g, "\\$&").replace(/\n/g, "\\n")}"`
+}
+
+/**
+ * @description            Records parser events as a guess tree, to export
+ *                         as JSON, or as a Graphviz DOT graph.
+ *
+ * @returns  {GuessTrace}  The guess tree recorder. Pass its `onEvent` as the
+ *                         `opts.onEvent` of `preParse`.
+ */
+function createTrace() {
+	/**
+	 * @type   {Map<Number, GuessTraceNode>} Every guess, by `Guess.id`.
+	 */
+	const nodes = new Map([[0, { id: 0, autoFills: [], results: [] }]])
+
+	/**
+	 * @description          Adds a parser event to the guess tree.
+	 *
+	 * @param    {ParserEvent} event The parser event.
+	 */
+	const onEvent = event => {
+		const { type, id } = event
+
+		if (type === "fork") {
+			const { parent, reason, stringIndex, characterIndex, string } = event
+
+			nodes.set(id, {
+				id,
+				parent,
+				reason,
+				stringIndex,
+				characterIndex,
+				string,
+				autoFills: [],
+				results: []
+			})
+			return
+		}
+
+		const node = nodes.get(id)
+
+		if (type === "autoFill") node.autoFills.push(event)
+		else if (type === "merge") node.merged = event
+		else if (type === "prune") node.pruned = event
+		// accepted or rejected reformatted string
+		else node.results.push(event)
+	}
+
+	/**
+	 * @description          Exports the guess tree, for `JSON.stringify`.
+	 *
+	 * @returns  {Object}    Every guess as `nodes`, in the order they forked.
+	 */
+	const toJSON = () => ({ nodes: [...nodes.values()] })
 
-			// check guess auto-fill
-			if (currentGuess.aufoFilled) {
-				// decrement number of pre-parsed characters,
-				// since one was just manually parsed
-				currentGuess.aufoFilled--
+	/**
+	 * @description          Exports the guess tree as a Graphviz DOT graph.
+	 *                       Solid edges are forks, dashed edges are merges,
+	 *                       and the ellipses are the reformatted strings each
+	 *                       guess accepted (green) or rejected (red).
+	 *
+	 * @returns  {String}    The DOT graph.
+	 */
+	const toDOT = () => {
+		const lines = [
+			"digraph guesses {",
+			"\trankdir=LR",
+			'\tnode [shape=box, fontname="monospace"]'
+		]
 
-				// guess already parsed this part of the string using a RegExp,
-				// loop to next guess
-				continue
-			}
+		for (const node of nodes.values()) {
+			const label = [`guess ${node.id}`]
 
-			const {
-				isArray,
-				isEscaped,
-				isObject,
-				isObjectField,
-				isObjectValue,
-				isString,
-				isJSONType
-			} = currentGuess
+			for (const { characterIndex, string } of node.autoFills)
+				label.push(`auto-filled ${string} at character ${characterIndex}`)
+			if (node.pruned)
+				label.push(
+					`pruned by ${node.pruned.reason} at character ${node.pruned.characterIndex}`
+				)
 
-			/**
-			 * @type {String}    The substring _after_ the single-quote.
-			 */
-			const followingString = misformattedJSON.slice(stringIndex + 1)
+			lines.push(`\tg${node.id} [label=${dotString(label.join("\n"))}]`)
 
-			/**
-			 * @type {String}    The substring _before_ the single-quote.
-			 */
-			const precedingString = misformattedJSON.slice(0, stringIndex)
+			if (node.parent !== undefined)
+				lines.push(
+					`\tg${node.parent} -> g${node.id} [label=${dotString(
+						`${node.reason}: ${node.string} at character ${node.characterIndex}`
+					)}]`
+				)
 
-			// change parser state for delimiters
-			if (character !== "'") {
-				// keep character
-				currentGuess.string += character
+			if (node.merged)
+				lines.push(
+					`\tg${node.id} -> g${
+						node.merged.into
+					} [style=dashed, label=${dotString(
+						`merged at character ${node.merged.characterIndex}`
+					)}]`
+				)
 
-				// set escape sequence, only for inside of a JSON string
-				if (isString) {
-					// escape character found,
-					// if another escape character preceded this one,
-					// the following character is not part of an escape sequence
-					// otherwise, the following character is part of an escape sequence
-					if (character === "\\") currentGuess.isEscaped = !isEscaped
-
-					// if isEscaped is false, loop to possible end of string
-					// if isEscaped is true, ignore escaped single-quote character later
-					// ignore delimiter characters inside of a JSON string,
-					// since they do not overlap with escape sequence
-					continue
-				}
+			node.results.forEach((result, index) => {
+				const accepted = result.type === "accept"
 
-				// set if in an object field and increase object nesting
-				if (character === "{") {
-					// set if in an object field
-					currentGuess.isObjectField = true
-					currentGuess.isJSONType = "field"
+				lines.push(
+					`\tg${node.id}r${index} [shape=ellipse, color=${
+						accepted ? "green" : "red"
+					}, label=${dotString(result.string)}]`,
+					`\tg${node.id} -> g${node.id}r${index} [label=${dotString(
+						accepted ? `score ${result.score}` : result.errors.join("\n")
+					)}]`
+				)
+			})
+		}
 
-					// increase object nesting
-					currentGuess.isObject++
-				}
-				// unset in object field on delimiter and set in object value
-				else if (character === ":") {
-					// unset object field on delimiter
-					currentGuess.isObjectField = false
-					currentGuess.isJSONType = "object-value"
+		lines.push("}")
 
-					// set in object value
-					currentGuess.isObjectValue = true
-				}
-				// unset in object value on delimiter and decrease object nesting
-				else if (character === "}") {
-					// unset in object value on delimiter
-					currentGuess.isObjectValue = false
+		return lines.join("\n") + "\n"
+	}
 
-					// decrease object nesting
-					currentGuess.isObject--
-
-					currentGuess.isJSONType =
-						// if this is nested in a root object,
-						!isArray && isObject
-							? "object-value"
-							: // if this is nested in a root array,
-							!isObject && isArray
-							? "array"
-							: // default JSON value type
-							isArray && isObject
-							? "value"
-							: // end of JSON
-							  undefined
-				}
-				// increase array nesting
-				else if (character === "[") {
-					currentGuess.isArray++
-					currentGuess.isJSONType = "array"
-				}
-				// decrease array nesting
-				else if (character === "]") {
-					currentGuess.isArray--
-
-					currentGuess.isJSONType =
-						// if this is nested in a root array,
-						!isObject && isArray
-							? "array"
-							: // if this is nested in a root object,
-							!isArray && isObject
-							? "object-value"
-							: // default JSON value type
-							isArray && isObject
-							? "value"
-							: // end of JSON
-							  undefined
-				}
-				// only for objects, not array in object, reset field and unset value
-				else if (
-					isObjectValue &&
-					isJSONType === "object-value" &&
-					character === ","
-				) {
-					// last value ended in last object entry
-					currentGuess.isObjectValue = false
+	return { onEvent, toJSON, toDOT }
+}
 
-					// new field started in next object entry
-					currentGuess.isObjectField = true
-					currentGuess.isJSONType = "field"
-				}
+/**
+ * @description            Reformats a misformatted JSON string to valid JSON,
+ *                         and parses it, like `preParse` followed by
+ *                         `JSON.parse`.
+ *
+ * @param    {String}      misformattedJSON The string that is invalidly
+ *                         formatted for JSON by using single-quotes (`'`)
+ *                         instead of double-qutoes (`"`) to delimit string
+ *                         values and object fields.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings, the same
+ *                         as for `preParse`.
+ *
+ * @param    {Function}    [opts.reviver] The `JSON.parse` reviver function
+ *                         to transform every parsed JSON value with.
+ *
+ * @returns  {ReparseResult} The outcome of the parser, with the parsed JSON
+ *                         value of every candidate.
+ */
+function reparse(misformattedJSON, { reviver, ...opts } = {}) {
+	const result = preParse(misformattedJSON, opts)
 
-				// only attempt to reformat single-quotes
-				continue
-			}
+	/**
+	 * @type   {Array}       The parsed JSON value of every candidate.
+	 */
+	const values = reviver
+		? result.candidates.map(({ string }) => JSON.parse(string, reviver))
+		: result.candidates.map(({ value }) => value)
 
-			// try all possible solutions by generating
-			// all possible solutions by brute-force
-			if (
-				bruteForce?.({
-					// make copy to prevent mutations
-					currentGuess: { ...currentGuess },
-					followingString,
-					precedingString,
-					stringIndex,
-					characterIndex
-				})
-			) {
-				// create a new guess
-				guesses.push({
-					...currentGuess,
-					// try to make a valid JSON string
-					// by keeping this single-quote,
-					string: currentGuess.string + character
-
-					// // possibly change these to allow for different heuristics
-					// isString: currentGuess.isString,
-					// isEscaped: currentGuess.isEscaped,
-					// isArray: currentGuess.isArray,
-					// isObject: currentGuess.isObject
-					// isObjectField: currentGuess.isObjectField,
-					// isObjectValue: currentGuess.isObjectValue,
-				})
+	if (!values.length) return { ...result, values }
 
-				// try to make a valid JSON string
-				// by replacing this single-quote with a double-quote
-				//! must come after new guess creation
-				currentGuess.string += '"'
+	// the best candidate is always the first one
+	return { ...result, value: values[0], values }
+}
 
-				// // possibly change these to allow for different heuristics
-				// currentGuess.isString = currentGuess.isString
-				// currentGuess.isEscaped = currentGuess.isEscaped
-				// currentGuess.isArray = currentGuess.isArray
-				// currentGuess.isObject = currentGuess.isObject
-				// currentGuess.isObjectField = currentGuess.isObjectField
-				// currentGuess.isObjectValue = currentGuess.isObjectValue
-			}
-			// use user given heuristics for for how to replace single-quote,
-			// or change guess parsing state
-			else if (
-				heuristic?.({
-					// give current parser guess and state info to heuristic
-					currentGuess,
-					followingString,
-					precedingString,
-					stringIndex,
-					characterIndex
-				})
-			) {
-				/* do nothing... `heuristic` modified object reference directly */
-			}
-			// use default heuristics
-			else if (isString) {
-				// skip if quote is escaped and clearly inside of a string
-				if (isEscaped) {
-					// escape sequence finished
-					currentGuess.isEscaped = false
+/**
+ * @description            Reformats a misformatted JSON string to valid JSON,
+ *                         like `preParse`, but `opts.resolve` may return a
+ *                         promise, like for a prompt that asks a person.
+ *
+ *                         The parser waits for every answer, and continues
+ *                         where it asked. Like for `preParse`, it asks once
+ *                         for every guess that reaches an ambiguous
+ *                         single-quote, so the same single-quote is asked
+ *                         again when guesses reach it with a different
+ *                         reformatted string before it.
+ *
+ * @param    {String}      misformattedJSON The string that is invalidly
+ *                         formatted for JSON by using single-quotes (`'`)
+ *                         instead of double-qutoes (`"`) to delimit string
+ *                         values and object fields.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings, the same
+ *                         as for `preParse`.
+ *
+ * @returns  {Promise<ParseResult>} The outcome of the parser.
+ */
+async function preParseAsync(misformattedJSON, opts = {}) {
+	/**
+	 * @type   {Generator<StringPosition, ParseResult, (QuoteChoice|undefined)>}
+	 *                       The parser, paused at every ambiguous single-quote.
+	 */
+	const steps = parseSteps(misformattedJSON, opts)
 
-					// add normal quote character back to string
-					currentGuess.string += character
+	for (let step = steps.next(); ; ) {
+		if (step.done) return step.value
 
-					// loop to next character
-					continue
-				}
+		step = steps.next(await opts.resolve(step.value))
+	}
+}
 
-				/**
-				 * @type {String}   JSON object, value, or array ending delimiters.
-				 */
-				let possibleDelimiters = ""
+/**
+ * @description            Finds where a JSON array or object that starts in
+ *                         a larger text ends, by balancing its brackets.
+ *
+ * @param    {String}      text The larger text.
+ *
+ * @param    {Number}      start The index of the opening bracket.
+ *
+ * @param    {Boolean}     quoteAware Whether to skip brackets inside of
+ *                         strings. A double-quote always starts a string, a
+ *                         single-quote only ends a string when followed by a
+ *                         JSON delimiter, like the default heuristics.
+ *
+ * @returns  {Number}      The index after the closing bracket, or `-1` if the
+ *                         brackets don't balance.
+ */
+function fragmentEnd(text, start, quoteAware) {
+	/**
+	 * @type   {String}      The open arrays (`[`) and objects (`{`).
+	 */
+	let stack = ""
 
-				// add contextual delimiters for use in heuristics
+	/**
+	 * @type   {(Quote|undefined)} The quote of the string being skipped.
+	 */
+	let quote
 
-				// delimiter for ending an array,
-				if (isJSONType === "array") possibleDelimiters = ",\\]"
-				// delimiter for ending an object,
-				else if (isJSONType === "object-value") possibleDelimiters = ",}"
-				// delimiter for ending an object field
-				else if (isJSONType === "field" || isObjectField)
-					possibleDelimiters = ":"
-				// delimiter for ending a value
-				else if (isJSONType === "value") possibleDelimiters = ",}\\]"
+	for (let index = start; index < text.length; index++) {
+		const character = text[index]
 
-				/**
-				 * @type {Boolean} This single-quote is followed by a JSON type
-				 *                 delimiter, and likely should be a double-quote.
-				 */
-				const heuristicDelimiterFollowing =
-					!!possibleDelimiters &&
-					new RegExp(String.raw`^\s*[${possibleDelimiters}]`).test(
-						followingString
-					)
+		if (quote) {
+			// skip escaped characters, including quotes
+			if (character === "\\") index++
+			else if (
+				character === quote &&
+				(quote === '"' || /^\s*[,:\]}]/.test(text.slice(index + 1)))
+			)
+				quote = undefined
 
-				/**
-				 * @type {RegExpExecArray|null} Finds a different possible solution.
-				 *                 Starting from the current character, and not the
-				 *                 `followingString`, so the RegExp includes it in the
-				 *                 results array, leaving the capturing group with just
-				 *                 the alternate possible and validated solution.
-				 */
-				const heuristicFindValids = new RegExp(
-					String.raw`([^']*)'\s*[${possibleDelimiters}]`
-				).exec(misformattedJSON.slice(stringIndex))
+			continue
+		}
 
-				/**
-				 * @type {(String|"")} The RegExp validated string capturing group of
-				 *                 just the characters before the single-quote to
-				 *                 replace in the RexExp auto-filled guess. Skip if
-				 *                 empty string, or capturing group is empty string.
-				 */
-				const regexpCapturingGroup = heuristicFindValids
-					? heuristicFindValids[1]
-					: ""
+		if (quoteAware && (character === '"' || character === "'"))
+			quote = character
+		else if (character === "[" || character === "{") stack += character
+		else if (character === "]" || character === "}") {
+			// mismatched closing bracket, this is not JSON
+			if (stack.at(-1) !== (character === "]" ? "[" : "{")) return -1
 
-				// both this single-quote and a following single-quote
-				// have potentially correct resolutions, making the solution ambiguous,
-				// so create a new guess to try both solutions
-				if (regexpCapturingGroup) {
-					// only the following single-quote RegExp heuristic passed,
-					// which likely means this is a string character that should be kept,
-					// so use RegEpx auto-fill solution
+			stack = stack.slice(0, -1)
 
-					// this guess will replace the single-quote and end the string
-					guesses.push({
-						...currentGuess,
-						isString: false,
-						string: currentGuess.string + '"'
-					})
+			if (!stack) return index + 1
+		}
+	}
 
-					if (TRY_HARD)
-						guesses.push({
-							...currentGuess,
-							isString: true, // stay string
-							string: currentGuess.string + character
-						})
+	return -1
+}
 
-					// keep single-quote and use RegExp solution of all characters before
-					// single-quote from RegExp search that needs to be replaced
-					currentGuess.string += character + regexpCapturingGroup + '"'
+/**
+ * @description            Finds misformatted JSON arrays and objects inside
+ *                         of a larger text, like log lines, HTML attributes,
+ *                         or email bodies, and reformats each of them with
+ *                         `preParse`.
+ *
+ *                         Fragments are found by balancing brackets, first
+ *                         skipping brackets inside of strings, then, if that
+ *                         fails, counting every bracket. Bracketed text that
+ *                         fails to reformat is only kept as a failed fragment
+ *                         if it contains a quote, so text like `[sic]` is
+ *                         not reported, and if no fragment inside of it
+ *                         reformats, so a log line with a JSON payload
+ *                         reports the payload.
+ *
+ * @param    {String}      text The larger text.
+ *
+ * @param    {PreParseOptions} [opts] The optional parser settings, the same
+ *                         as for `preParse`.
+ *
+ * @param    {Boolean}     [opts.rewrite] A flag to also return the text with
+ *                         every definitive fragment replaced by its
+ *                         reformatted string. Default: `false`.
+ *
+ * @returns  {ScanResult}  Every fragment found, and the rewritten text.
+ */
+function scan(text, { rewrite = false, ...opts } = {}) {
+	/**
+	 * @type   {Fragment[]}  Every fragment found so far.
+	 */
+	const fragments = []
 
-					// the length of the entire RegExp guess string
-					// including ending double-quote
-					currentGuess.aufoFilled = regexpCapturingGroup.length + 1
+	for (let start = 0; start < text.length; start++) {
+		if (text[start] !== "[" && text[start] !== "{") continue
 
-					// ended string with double-quote
-					currentGuess.isString = false
-				}
+		/**
+		 * @type   {Fragment}    The fragment found at this bracket, if any.
+		 */
+		let found
 
-				// only the current single-quote RegExp heuristic passed,
-				// which likely means this is a misformatted string delimiter
-				else if (heuristicDelimiterFollowing) {
-					// WORSE time-complexity mode, custom heuristics but with brute-force
-					if (TRY_HARD)
-						guesses.push({
-							...currentGuess,
-							isString: false,
-							string: currentGuess.string + character
-						})
+		/**
+		 * @type   {Fragment}    The first fragment that failed to reformat.
+		 */
+		let failed
 
-					// replace current misformatted single-quote with a double-quote
-					currentGuess.string += '"'
+		for (const quoteAware of [true, false]) {
+			const end = fragmentEnd(text, start, quoteAware)
 
-					// ended string with double-quote
-					currentGuess.isString = false
-				}
+			// no balanced brackets, or the same fragment as before
+			if (end === -1 || end === failed?.end) continue
 
-				// neither RegExp heuristic passed,
-				// which likely means this is a string character that should be kept
-				else {
-					// WORSE time-complexity mode, custom heuristics but with brute-force
-					if (TRY_HARD)
-						guesses.push({
-							...currentGuess,
-							isString: false, // end string
-							string: currentGuess.string + character
-						})
+			const original = text.slice(start, end)
+			const result = preParse(original, opts)
 
-					// keep single-quote
-					currentGuess.string += character
-				}
+			/**
+			 * @type   {Fragment}    The reformatted fragment.
+			 */
+			const fragment = {
+				start,
+				end,
+				original,
+				string: result.best?.string,
+				status: result.status,
+				result
 			}
-			// beginning of a JSON string, reformat single-quote
-			else {
-				// replace single-quote with double-quote
-				currentGuess.string += '"'
 
-				// parser now looking for ending single-quote that needs reformatting
-				currentGuess.isString = true
+			if (result.status !== "failed") {
+				found = fragment
+				break
 			}
+
+			failed ??= fragment
 		}
+
+		// only report failures that look like JSON with strings
+		if (!found && failed && /['"]/.test(failed.original)) found = failed
+
+		if (!found) continue
+
+		fragments.push(found)
+
+		// continue after the fragment, so its contents aren't found again,
+		// but look inside of a failure for fragments that do reformat
+		if (found.status !== "failed") start = found.end - 1
 	}
 
-	// try all parsing guesses to see if one works
 	/**
-	 * @type   {Number}      Index of guess for debugging information.
+	 * @type   {Fragment[]}  Every fragment found, without failures that are
+	 *                       inside of a reported failure, or that have a
+	 *                       reformatted fragment inside of them.
 	 */
-	let guessIndex = 0
+	const reported = []
+
+	for (const fragment of fragments) {
+		const { start, end, status } = fragment
+		const previous = reported.at(-1)
+
+		if (status === "failed") {
+			// inside of a reported failure, fragments are found in order
+			if (previous?.status === "failed" && start < previous.end) continue
+
+			// only report the fragments inside of it that did reformat
+			if (
+				fragments.some(
+					other =>
+						other.status !== "failed" &&
+						other.start > start &&
+						other.start < end
+				)
+			)
+				continue
+		}
+
+		reported.push(fragment)
+	}
+
+	if (!rewrite) return { fragments: reported }
 
 	/**
-	 * @type   {String[]}    Array of every valid JSON string reformatted.
+	 * @type   {String}      The text with every definitive fragment replaced.
 	 */
-	const successes = []
+	let rewritten = ""
 
-	for (const guess of guesses) {
-		try {
-			JSON.parse(guess.string)
-
-			// reformatting guess parsed as valid JSON!
-			successes.push(guess.string)
+	/**
+	 * @type   {Number}      The index in the text after the last fragment.
+	 */
+	let index = 0
 
-			console.log(`successfully parsed #${guessIndex}:`, guess, successes)
-		} catch (error) {
-			// // catch JSON parsing error and output for debug
-			// console.error(`failed: guess #${guessIndex}:`, guess)
+	for (const { start, end, string, status } of reported)
+		if (status === "definitive") {
+			rewritten += text.slice(index, start) + string
+			index = end
 		}
 
-		guessIndex++
-	}
+	return { fragments: reported, text: rewritten + text.slice(index) }
+}
 
-	if (successes.length === 1)
-		console.log("Parser found definitive answer!\nParsed:", successes[0])
-	else if (successes.length > 1)
-		console.log(
-			"Parser found no definitive answer! Parser found ambiguous answers! Try setting `opts.heuristic` or `opts.bruteForce`, they can get better parsing!\nParsed:",
-			successes
-		)
-	else
-		console.error(
-			"Parser Failed to parse any reformatting guess as a valid JSON string! Try setting `heuristic`, `TRY_HARD`, or `opts.bruteForce` (if necessary), they can get better parsing!"
-		)
+module.exports = {
+	preParse,
+	preParseAsync,
+	reparse,
+	scan,
+	sourceOffset,
+	createTrace
+}
 
-	// return all valid JSON string guesses
-	return successes
-}
-
-const json1 = `['Bob O'Rielly']`
-const json2 = `['Mr. O'McDonald, height 13',1\\"']`
-const json3 = `[{'fullName':'Bob O'Rielly','height':'13',5\\"'}]`
-const json4 = `[[''''''''''''],[[''''''''],'[]','{}',',',':'],'''''''''''''']`
-const json5 = `[{'techid':'0128','daPoints':3,'speedingPoints':3,'fleetInspectionPoints':3,'lofPoints':3,'missedTrgModules':null,'fullName':'FIRST LAST','safetyInspectPoints':3,'missedTrgPoints':3,'speeding_qty':null,'safetyTotalPoints':21,'atFaultPoints':3,'atFaultAccident':null,'region':'ABCD','supervisor':'LSAT FRIST','driverAlert':null,'status':'A'}]`
-const json6 = `[{'fullName':'Rob O'Rielly','height':'70.5\\"'}]`
-const json7 = `[{'fullName':'Dob MacRielly','height':'13',5\\"'}]`
-
-console.log(`ANSWERS 1:`, preParse(json1))
-console.log(`ANSWERS 2:`, preParse(json2, undefined, undefined, true))
-console.log(`ANSWERS 3:`, preParse(json3, undefined, undefined, true))
-console.log(`ANSWER 4:`, preParse(json4))
-console.log(`ANSWER 5:`, preParse(json5))
-console.log(
-	`ANSWER 6:`,
-	preParse(json6, () => true, undefined)
-)
-console.log(`ANSWER 7:`, preParse(json7, undefined, undefined, true))
+// run the StackOverflow examples when executed directly, not when imported
+if (require.main === module) {
+	const json1 = `['Bob O'Rielly']`
+	const json2 = `['Mr. O'McDonald, height 13',1\\"']`
+	const json3 = `[{'fullName':'Bob O'Rielly','height':'13',5\\"'}]`
+	const json4 = `[[''''''''''''],[[''''''''],'[]','{}',',',':'],'''''''''''''']`
+	const json5 = `[{'techid':'0128','daPoints':3,'speedingPoints':3,'fleetInspectionPoints':3,'lofPoints':3,'missedTrgModules':null,'fullName':'FIRST LAST','safetyInspectPoints':3,'missedTrgPoints':3,'speeding_qty':null,'safetyTotalPoints':21,'atFaultPoints':3,'atFaultAccident':null,'region':'ABCD','supervisor':'LSAT FRIST','driverAlert':null,'status':'A'}]`
+	const json6 = `[{'fullName':'Rob O'Rielly','height':'70.5\\"'}]`
+	const json7 = `[{'fullName':'Dob MacRielly','height':'13',5\\"'}]`
+	const json8 = `['  b'b,,'1'a']`
+	const json9 = `{'note':'it's fine, don't'}`
+	const json10 = `["x", 'rock'n'roll', 'y']`
+	const json11 = `{'a': 'Don't say 'hi', ok'}`
+	const python1 = `[{'fullName': "Bob O'Rielly", 'active': True, 'alert': None, 'size': (13, 5.5,)}]`
+	const json5Literal = `{fullName: 'Bob O\\'Rielly', /* inches */ height: .5e2, id: 0x1F,}`
+	const sql1 = `[{'fullName':'Bob O''Rielly','note':'it''s ''quoted'''}]`
+
+	console.log(`ANSWERS 1:`, preParse(json1))
+	console.log(`ANSWERS 2:`, preParse(json2, { tryHard: true }))
+	console.log(`ANSWERS 3:`, preParse(json3, { tryHard: true }))
+	console.log(
+		`ANSWER 3 (best):`,
+		preParse(json3, { tryHard: true, pickBest: true })
+	)
+	console.log(
+		`ANSWER 3 (shape):`,
+		preParse(json3, {
+			bruteForce: () => true,
+			shape: [{ fullName: "string", height: "string" }]
+		})
+	)
+	console.log(`ANSWER 4:`, preParse(json4))
+	console.log(
+		`ANSWER 4 (doubled quotes):`,
+		preParse(json4, { doubledQuotes: true })
+	)
+	console.log(`ANSWER 5:`, preParse(json5))
+	console.log(`ANSWER 6:`, preParse(json6, { bruteForce: () => true }))
+	console.log(`ANSWER 6 (default):`, preParse(json6))
+	console.log(`ANSWER 7:`, preParse(json7, { tryHard: true }))
+	console.log(`ANSWER 8:`, preParse(json8))
+	console.log(`ANSWER 9:`, preParse(json9))
+	console.log(`ANSWER 10:`, preParse(json10))
+	console.log(`ANSWER 11:`, preParse(json11))
+	console.log(`PYTHON ANSWER 1:`, preParse(python1, { mode: "python" }))
+	console.log(`JSON5 ANSWER 1:`, preParse(json5Literal, { mode: "json5" }))
+	console.log(`SQL ANSWER 1:`, preParse(sql1, { doubledQuotes: true }))
+
+	// every recorded edit points at the text it changed in the input
+	for (const [input, opts] of [
+		[json1],
+		[json2, { tryHard: true }],
+		[json3, { tryHard: true }],
+		[json4, { doubledQuotes: true }],
+		[json6, { bruteForce: () => true }],
+		[json8],
+		[json9],
+		[json10],
+		[json11],
+		[python1, { mode: "python" }],
+		[json5Literal, { mode: "json5" }],
+		[sql1, { doubledQuotes: true }]
+	])
+		for (const { edits } of preParse(input, opts).candidates)
+			for (const { original, stringIndex } of edits)
+				console.assert(
+					input.startsWith(original, stringIndex),
+					`Edit of ${JSON.stringify(
+						original
+					)} at ${stringIndex} is not in ${input}`
+				)
+}